@@ -0,0 +1,58 @@
+const { logger } = require('./logger');
+
+const ADMIN_STATUSES = ['creator', 'administrator'];
+const MEMBER_STATUSES = ['creator', 'administrator', 'member'];
+
+// Membership lookups for the dashboard are cached briefly so page loads
+// don't turn into a burst of getChatMember calls
+const MEMBERSHIP_CACHE_MS = 5 * 60 * 1000;
+const MEMBERSHIP_CACHE_SIZE = 10000;
+const membershipCache = new Map();
+
+// Whether a message was sent by an admin of its chat. Private chats have no
+// admins, so the only member counts as one; anonymous admins post as the chat.
+const isChatAdmin = async (bot, msg) => {
+  if (msg.chat.type === 'private') {
+    return true;
+  }
+  if (msg.sender_chat && msg.sender_chat.id === msg.chat.id) {
+    return true;
+  }
+
+  const member = await bot.getChatMember(msg.chat.id, msg.from.id);
+  return ADMIN_STATUSES.includes(member.status);
+};
+
+// Whether a user belongs to a chat, and whether they are one of its admins
+const getChatMembership = async (bot, chatId, userId) => {
+  const key = `${chatId}:${userId}`;
+  const cached = membershipCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.membership;
+  }
+
+  let member;
+  try {
+    member = await bot.getChatMember(chatId, userId);
+  } catch (err) {
+    // Telegram answers with an error for chats the bot has left or users it
+    // has never seen. Not cached, in case it was a passing failure.
+    logger.warn('getChatMember failed, treating as not a member', { chatId, userId, err });
+    return { isMember: false, isAdmin: false };
+  }
+
+  const membership = {
+    isMember: MEMBER_STATUSES.includes(member.status) || (member.status === 'restricted' && member.is_member),
+    isAdmin: ADMIN_STATUSES.includes(member.status)
+  };
+  if (membershipCache.size >= MEMBERSHIP_CACHE_SIZE) {
+    membershipCache.clear();
+  }
+  membershipCache.set(key, { membership, expiresAt: Date.now() + MEMBERSHIP_CACHE_MS });
+  return membership;
+};
+
+module.exports = {
+  isChatAdmin,
+  getChatMembership
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+// Logins older than this are refused, so a leaked payload can't be replayed forever
+const LOGIN_MAX_AGE_SECONDS = 24 * 60 * 60;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Sessions are signed with SESSION_SECRET, or a key derived from the bot
+// token when it isn't set
+const getSessionSecret = () => {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+  return crypto.createHmac('sha256', 'fuel-credit-score-session')
+    .update(process.env.TELEGRAM_BOT_TOKEN || '')
+    .digest('hex');
+};
+
+// Check a Telegram Login Widget payload. See
+// https://core.telegram.org/widgets/login#checking-authorization
+const verifyTelegramLogin = (payload, botToken) => {
+  if (!payload || typeof payload.hash !== 'string' || !payload.id || !payload.auth_date) {
+    return false;
+  }
+
+  const dataCheckString = Object.keys(payload)
+    .filter(key => key !== 'hash' && payload[key] !== undefined && payload[key] !== null)
+    .sort()
+    .map(key => `${key}=${payload[key]}`)
+    .join('\n');
+  const secretKey = crypto.createHash('sha256').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  const age = Math.floor(Date.now() / 1000) - Number(payload.auth_date);
+  return safeEqual(expected, payload.hash) && age >= 0 && age <= LOGIN_MAX_AGE_SECONDS;
+};
+
+// A signed, self-contained session token for a logged-in Telegram user
+const createSessionToken = (user) => {
+  const body = base64url(JSON.stringify({
+    userId: user.id.toString(),
+    name: user.first_name || user.username,
+    username: user.username,
+    exp: Date.now() + SESSION_TTL_MS
+  }));
+  const signature = crypto.createHmac('sha256', getSessionSecret()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+};
+
+// The session a token stands for, or null if it is invalid or expired
+const verifySessionToken = (token) => {
+  const [body, signature] = (token || '').split('.');
+  if (!body || !signature) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', getSessionSecret()).update(body).digest('base64url');
+  if (!safeEqual(expected, signature)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return session.exp > Date.now() ? session : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  verifyTelegramLogin,
+  createSessionToken,
+  verifySessionToken
+};
@@ -0,0 +1,213 @@
+const { Badge } = require('./models/badge');
+const { Chat } = require('./models/chat');
+const { LedgerEntry } = require('./models/ledger');
+const { getStorage } = require('./storage');
+const { getRank } = require('./scores');
+const { VOTE_COUNTS } = require('./stats');
+const { DAY_MS, VOTE_SOURCES } = require('./trends');
+
+const CENTURY_SCORE = 100;
+const POPULAR_UPVOTES = 50;
+const STREAK_DAYS = 7;
+const COMEBACK_RANK = 3;
+const REIGN_DAYS = 7;
+
+// Upvotes a user has received, less any taken back
+const countUpvotes = async (chatId, telegramId) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { chatId: chatId.toString(), targetId: telegramId.toString(), source: { $in: VOTE_SOURCES } } },
+    { $group: { _id: null, upvotes: VOTE_COUNTS.positive } }
+  ]);
+  return row ? row.upvotes : 0;
+};
+
+// UTC days, from today back, on which a user voted at least once
+const countVotingDays = async (chatId, telegramId, days) => {
+  const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+  const rows = await LedgerEntry.aggregate([
+    {
+      $match: {
+        chatId: chatId.toString(),
+        voterId: telegramId.toString(),
+        source: { $in: VOTE_SOURCES },
+        reversal: false,
+        createdAt: { $gte: new Date(today - (days - 1) * DAY_MS) }
+      }
+    },
+    { $group: { _id: { $dateTrunc: { date: '$createdAt', unit: 'day' } } } }
+  ]);
+  return rows.length;
+};
+
+// Badges in the order they are listed. Each is earned by the user a vote is
+// for, by its voter, or by the chat's leader, and `earned` says whether a
+// user qualifies. Names and descriptions are in the locales, filled in with
+// `params`.
+const BADGES = {
+  century: {
+    emoji: '💯',
+    earnedBy: 'target',
+    params: { score: CENTURY_SCORE },
+    earned: async (chatId, user) => user.creditScore >= CENTURY_SCORE
+  },
+  popular: {
+    emoji: '🌟',
+    earnedBy: 'target',
+    params: { upvotes: POPULAR_UPVOTES },
+    earned: async (chatId, user) => (await countUpvotes(chatId, user.telegramId)) >= POPULAR_UPVOTES
+  },
+  streak: {
+    emoji: '📅',
+    earnedBy: 'voter',
+    params: { days: STREAK_DAYS },
+    earned: async (chatId, user) => (await countVotingDays(chatId, user.telegramId, STREAK_DAYS)) >= STREAK_DAYS
+  },
+  comeback: {
+    emoji: '🚀',
+    earnedBy: 'target',
+    params: { rank: COMEBACK_RANK },
+    earned: async (chatId, user) => !user.excluded
+      && user.creditScore > 0
+      && (await getRank(chatId, user.creditScore)) <= COMEBACK_RANK
+      && Boolean(await LedgerEntry.exists({
+        chatId: chatId.toString(),
+        targetId: user.telegramId.toString(),
+        scoreAfter: { $lt: 0 }
+      }))
+  },
+  reign: {
+    emoji: '👑',
+    earnedBy: 'leader',
+    params: { days: REIGN_DAYS },
+    earned: async (chatId, user, since) => Date.now() - since.getTime() >= REIGN_DAYS * DAY_MS
+  }
+};
+
+const BADGE_KEYS = Object.keys(BADGES);
+
+// Badges the chat's admins have turned off
+const getDisabledBadges = async (chatId) => {
+  const chat = await Chat.findOne({ chatId: chatId.toString() }, { disabledBadges: 1 }).lean();
+  return (chat && chat.disabledBadges) || [];
+};
+
+// Turn a badge on or off in a chat. Resolves with whether the badge exists.
+const setBadgeEnabled = async (chatId, badge, enabled) => {
+  if (!BADGES[badge]) {
+    return false;
+  }
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    enabled ? { $pull: { disabledBadges: badge } } : { $addToSet: { disabledBadges: badge } },
+    { upsert: true }
+  );
+  return true;
+};
+
+// The badges a user has earned that are turned on in the chat, in list order
+const getUserBadges = async (chatId, telegramId) => {
+  const [awards, disabled] = await Promise.all([
+    Badge.find({ chatId: chatId.toString(), telegramId: telegramId.toString() }).lean(),
+    getDisabledBadges(chatId)
+  ]);
+  return BADGE_KEYS
+    .filter(badge => !disabled.includes(badge))
+    .map(badge => awards.find(award => award.badge === badge))
+    .filter(Boolean)
+    .map(award => ({ badge: award.badge, emoji: BADGES[award.badge].emoji, awardedAt: award.awardedAt }));
+};
+
+// Record that a user earned a badge. Resolves with whether they hadn't
+// already, so only one of several instances checking at once announces it.
+const awardBadge = async (chatId, badge, user) => {
+  try {
+    const result = await Badge.updateOne(
+      { chatId: chatId.toString(), telegramId: user.telegramId.toString(), badge },
+      { $setOnInsert: { username: user.username, awardedAt: new Date() } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (err) {
+    // Two upserts racing for the same badge: the other one won
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+};
+
+// Award whichever badges for `role` a user now qualifies for and hasn't got.
+// Resolves with the new awards as { badge, telegramId, username }.
+const awardEarned = async (chatId, role, user, ...args) => {
+  const [owned, disabled] = await Promise.all([
+    Badge.distinct('badge', { chatId: chatId.toString(), telegramId: user.telegramId.toString() }),
+    getDisabledBadges(chatId)
+  ]);
+
+  const awards = [];
+  for (const badge of BADGE_KEYS) {
+    const definition = BADGES[badge];
+    if (definition.earnedBy !== role || owned.includes(badge) || disabled.includes(badge)) {
+      continue;
+    }
+    if (await definition.earned(chatId, user, ...args) && await awardBadge(chatId, badge, user)) {
+      awards.push({ badge, telegramId: user.telegramId.toString(), username: user.username });
+    }
+  }
+  return awards;
+};
+
+// Award the badges a vote may have earned: the target is the user's updated
+// score document and the voter is { id, name }
+const checkVoteBadges = async (chatId, { target, voter }) => {
+  const targetAwards = await awardEarned(chatId, 'target', target);
+  const voterAwards = voter
+    ? await awardEarned(chatId, 'voter', { telegramId: voter.id, username: voter.name })
+    : [];
+  return [...targetAwards, ...voterAwards];
+};
+
+// The one user ahead of everyone else on the leaderboard, or null if the top
+// is shared or nobody is on it
+const getOutrightLeader = async (chatId) => {
+  const [first, second] = await getStorage().listUsers(chatId, { limit: 2 });
+  return first && (!second || second.creditScore < first.creditScore) ? first : null;
+};
+
+// Note who leads the chat, restarting the clock whenever that changes, and
+// award the leader's badges. Resolves with the new awards.
+const checkLeaderBadges = async (chatId) => {
+  const [leader, chat] = await Promise.all([
+    getOutrightLeader(chatId),
+    Chat.findOne({ chatId: chatId.toString() }, { leader: 1 }).lean()
+  ]);
+  const current = chat && chat.leader;
+
+  if (!leader) {
+    if (current) {
+      await Chat.updateOne({ chatId: chatId.toString() }, { $unset: { leader: 1 } });
+    }
+    return [];
+  }
+
+  if (!current || current.telegramId !== leader.telegramId) {
+    await Chat.updateOne(
+      { chatId: chatId.toString() },
+      { $set: { leader: { telegramId: leader.telegramId, since: new Date() } } },
+      { upsert: true }
+    );
+    return [];
+  }
+
+  return awardEarned(chatId, 'leader', leader, current.since);
+};
+
+module.exports = {
+  BADGES,
+  BADGE_KEYS,
+  getDisabledBadges,
+  setBadgeEnabled,
+  getUserBadges,
+  checkVoteBadges,
+  checkLeaderBadges
+};
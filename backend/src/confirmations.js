@@ -0,0 +1,45 @@
+const { Chat } = require('./models/chat');
+
+// Admin actions that need confirming, such as /resetchat, wait on the chat
+// document rather than in memory, so whichever instance receives the
+// confirming command can carry them out.
+
+// Record an action waiting for `adminId` to confirm it within `ttl` ms,
+// replacing any earlier request for the same action
+const requestConfirmation = (chatId, action, adminId, details, ttl) => {
+  return Chat.updateOne(
+    { chatId: chatId.toString() },
+    {
+      $set: {
+        [`pendingActions.${action}`]: {
+          ...details,
+          adminId: adminId.toString(),
+          expiresAt: new Date(Date.now() + ttl)
+        }
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Take the action `adminId` asked for, if it hasn't expired. It is removed in
+// the same step, so it is only carried out once. Resolves with its details,
+// or null if there is nothing to confirm.
+const takeConfirmation = async (chatId, action, adminId) => {
+  const field = `pendingActions.${action}`;
+  const chat = await Chat.findOneAndUpdate(
+    {
+      chatId: chatId.toString(),
+      [`${field}.adminId`]: adminId.toString(),
+      [`${field}.expiresAt`]: { $gt: new Date() }
+    },
+    { $unset: { [field]: 1 } },
+    { new: false, projection: { pendingActions: 1 } }
+  ).lean();
+  return chat ? chat.pendingActions[action] : null;
+};
+
+module.exports = {
+  requestConfirmation,
+  takeConfirmation
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { dbReconnects } = require('./metrics');
+const { logger, redact } = require('./logger');
+
+// TLS comes from the URI: mongodb+srv:// turns it on, and a plain mongodb://
+// URI can add ?tls=true. Forcing it here broke local servers without TLS.
+const options = {
+  serverSelectionTimeoutMS: 30000,
+  socketTimeoutMS: 45000,
+  family: 4,
+  retryWrites: true,
+  w: 'majority'
+};
+
+// Connection attempts before giving up at startup, and the pause between them
+const CONNECT_RETRIES = parseInt(process.env.MONGODB_CONNECT_RETRIES, 10) || 5;
+const RETRY_DELAY = 5000;
+
+// Connect to MongoDB once, throwing if it fails
+const connect = async (uri = process.env.MONGODB_URI) => {
+  if (!uri) {
+    throw new Error('MONGODB_URI is not set in environment variables');
+  }
+
+  if (!uri.startsWith('mongodb://') && !uri.startsWith('mongodb+srv://')) {
+    throw new Error(`Invalid MongoDB URI format: ${redact(uri)}`);
+  }
+
+  // The logger takes the credentials out of the URI
+  logger.info('Connecting to MongoDB', { uri });
+
+  await mongoose.connect(uri, options);
+  logger.info('Connected to MongoDB');
+};
+
+// Connect, trying again a few times before giving up. A missing or malformed
+// URI fails straight away since retrying can't fix it.
+const connectWithRetry = async (uri = process.env.MONGODB_URI, retries = CONNECT_RETRIES) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await connect(uri);
+      return;
+    } catch (err) {
+      logger.error('MongoDB connection error', { err, attempt });
+      if (!uri || attempt > retries || !(err instanceof mongoose.Error.MongooseServerSelectionError)) {
+        throw err;
+      }
+      logger.info('Retrying the MongoDB connection', { attempt, retries, delaySeconds: RETRY_DELAY / 1000 });
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+    }
+  }
+};
+
+// Connect and stay connected for the lifetime of the server. Resolves once
+// connected, or rejects if the first connection can't be made. After that
+// the driver reconnects by itself.
+const keepConnected = (uri, retries) => {
+  // Handle MongoDB connection events
+  mongoose.connection.on('error', (err) => {
+    logger.error('MongoDB connection error', { err });
+  });
+
+  mongoose.connection.on('disconnected', () => {
+    logger.warn('MongoDB disconnected, waiting for the driver to reconnect');
+  });
+
+  mongoose.connection.on('reconnected', () => {
+    logger.info('MongoDB reconnected');
+    dbReconnects.inc();
+  });
+
+  // Initial connection
+  return connectWithRetry(uri, retries);
+};
+
+module.exports = {
+  connect,
+  keepConnected
+};
@@ -0,0 +1,225 @@
+const { Chat } = require('./models/chat');
+const { LedgerEntry } = require('./models/ledger');
+const { getLeaderboard } = require('./scores');
+const { VOTE_COUNTS } = require('./stats');
+const { DAY_MS, VOTE_SOURCES, getMovers } = require('./trends');
+
+// Days as written in /digest, in Date#getDay order
+const DIGEST_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DIGEST_MOVERS = 3;
+const DIGEST_TOP = 5;
+
+// The canonical name of a timezone, e.g. Europe/London for europe/london, or
+// null if the runtime doesn't know it
+const normalizeTimezone = (timezone) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (err) {
+    return null;
+  }
+};
+
+// The wall-clock date and time in a timezone at a moment
+const zonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const part = type => Number(parts.find(entry => entry.type === type).value);
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second')
+  };
+};
+
+// How far a timezone is ahead of UTC at a moment, in milliseconds
+const zoneOffset = (date, timezone) => {
+  const local = zonedParts(date, timezone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The moment a wall-clock time happens in a timezone. A time skipped when the
+// clocks go forward comes out an hour later.
+const zonedTime = (year, month, day, hour, minute, timezone) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - zoneOffset(new Date(wall), timezone);
+  return new Date(wall - zoneOffset(new Date(guess), timezone));
+};
+
+// The first time after `after` that a weekly schedule comes round
+const nextDigestAt = ({ day, time, timezone }, after = new Date()) => {
+  const [hour, minute] = time.split(':').map(Number);
+  const today = zonedParts(after, timezone);
+  for (let ahead = 0; ahead <= 7; ahead++) {
+    // Date.UTC rolls days past the end of a month over into the next one
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + ahead));
+    if (date.getUTCDay() === day) {
+      const at = zonedTime(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, timezone);
+      if (at > after) {
+        return at;
+      }
+    }
+  }
+  return null;
+};
+
+// A moment as YYYY-MM-DD HH:MM in a timezone
+const formatZoned = (date, timezone) => {
+  const local = zonedParts(date, timezone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${local.year}-${pad(local.month)}-${pad(local.day)} ${pad(local.hour)}:${pad(local.minute)}`;
+};
+
+// Read the arguments of /digest weekly <day> <HH:MM> [timezone]. Resolves
+// with the schedule, or null if they don't parse. The timezone is returned
+// as given, to be checked with normalizeTimezone.
+const parseSchedule = ([frequency, day, time, timezone = 'UTC', ...rest]) => {
+  const dayIndex = day && day.length >= 3 ? DIGEST_DAYS.indexOf(day.slice(0, 3).toLowerCase()) : -1;
+  const clock = time && time.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!frequency || frequency.toLowerCase() !== 'weekly' || dayIndex === -1 || !clock || rest.length > 0) {
+    return null;
+  }
+  return { day: dayIndex, time: `${clock[1].padStart(2, '0')}:${clock[2]}`, timezone };
+};
+
+// The chat's digest schedule, or null if it has none
+const getDigest = async (chatId) => {
+  const chat = await Chat.findOne({ chatId: chatId.toString() }, { digest: 1 }).lean();
+  return (chat && chat.digest) || null;
+};
+
+// Post the chat's digest weekly from now on. Resolves with the schedule.
+const scheduleDigest = async (chatId, schedule) => {
+  const digest = { ...schedule, nextAt: nextDigestAt(schedule) };
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { digest } },
+    { upsert: true }
+  );
+  return digest;
+};
+
+// Stop posting the chat's digest. Resolves with whether it had one.
+const cancelDigest = async (chatId) => {
+  const result = await Chat.updateOne(
+    { chatId: chatId.toString(), digest: { $exists: true } },
+    { $unset: { digest: 1 } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Chats whose digest is due
+const getDueDigests = async () => {
+  const chats = await Chat.find(
+    { 'digest.nextAt': { $lte: new Date() } },
+    { chatId: 1, digest: 1 }
+  ).lean();
+  return chats.map(chat => ({ chatId: chat.chatId, digest: chat.digest }));
+};
+
+// Claim a due digest by moving it on to its next date, if no other instance
+// has done so first. Resolves with whether this instance should post it.
+const claimDigest = async (chatId, digest) => {
+  const result = await Chat.updateOne(
+    { chatId: chatId.toString(), 'digest.nextAt': digest.nextAt },
+    { $set: { 'digest.nextAt': nextDigestAt(digest), 'digest.lastPostedAt': new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Points an entry adds to the upvotes given: an upvote's delta, or the
+// negative delta of a reversal taking one back
+const UPVOTE = {
+  $cond: [
+    { $and: [{ $not: ['$reversal'] }, { $gt: ['$delta', 0] }] },
+    '$delta',
+    { $cond: [{ $and: ['$reversal', { $lt: ['$delta', 0] }] }, '$delta', 0] }
+  ]
+};
+
+// The voter who gave away the most points in upvotes, less any they took back
+const getMostGenerous = async (match) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: match },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: '$voterId', points: { $sum: UPVOTE }, username: { $last: '$voterName' } } },
+    { $match: { _id: { $ne: null }, points: { $gt: 0 } } },
+    { $sort: { points: -1, _id: 1 } },
+    { $limit: 1 }
+  ]);
+  return row ? { telegramId: row._id, username: row.username, points: row.points } : null;
+};
+
+// The message with the most downvotes still standing
+const getMostDownvoted = async (match) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { ...match, messageId: { $ne: null } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$messageId',
+        downvotes: VOTE_COUNTS.negative,
+        points: { $sum: '$delta' },
+        targetId: { $last: '$targetId' },
+        username: { $last: '$targetName' }
+      }
+    },
+    { $match: { downvotes: { $gt: 0 } } },
+    { $sort: { downvotes: -1, points: 1, _id: 1 } },
+    { $limit: 1 }
+  ]);
+  return row
+    ? { messageId: row._id, telegramId: row.targetId, username: row.username, downvotes: row.downvotes }
+    : null;
+};
+
+// What happened in a chat over the last week: votes cast, the biggest
+// movers each way (counting votes only, like the dashboard's trends), the most generous voter, the most downvoted message and
+// the current top of the leaderboard
+const buildDigest = async (chatId) => {
+  const since = new Date(Date.now() - 7 * DAY_MS);
+  const votes = { chatId: chatId.toString(), source: { $in: VOTE_SOURCES }, createdAt: { $gte: since } };
+
+  const [voteCount, { gainers, losers }, generous, downvoted, { users: top }] = await Promise.all([
+    LedgerEntry.countDocuments({ ...votes, reversal: false }),
+    getMovers(chatId, { since, limit: DIGEST_MOVERS }),
+    getMostGenerous(votes),
+    getMostDownvoted(votes),
+    getLeaderboard(chatId, { limit: DIGEST_TOP })
+  ]);
+
+  return {
+    since,
+    votes: voteCount,
+    gainers,
+    losers,
+    generous,
+    downvoted,
+    top
+  };
+};
+
+module.exports = {
+  DIGEST_DAYS,
+  normalizeTimezone,
+  nextDigestAt,
+  formatZoned,
+  parseSchedule,
+  getDigest,
+  scheduleDigest,
+  cancelDigest,
+  getDueDigests,
+  claimDigest,
+  buildDigest
+};
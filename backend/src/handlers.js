@@ -0,0 +1,1766 @@
+const { getStorage } = require('./storage');
+const { getRank, getLeaderboard, getUserStanding, applyScoreChange, getHistory, getReactionVote } = require('./scores');
+const { getChatStickers, getStickerCredits, setSticker, unsetSticker } = require('./stickers');
+const {
+  rememberMessageAuthor,
+  getMessageAuthor,
+  diffReactions,
+  getChatReactions,
+  getReactionCredits,
+  setReaction,
+  unsetReaction
+} = require('./reactions');
+const { isChatAdmin } = require('./admin');
+const { muteVoter, setExcluded, setScore, resetChat } = require('./moderation');
+const { requestConfirmation, takeConfirmation } = require('./confirmations');
+const { LIMIT_SETTINGS, getChatLimits, setChatLimit, checkVoteLimits } = require('./limits');
+const { WEIGHTING_SETTINGS, getChatWeighting, setWeightingEnabled, setWeightingParam, weighVote } = require('./weighting');
+const { LEADERBOARD_VIEWS, getLeaderboardPage, findUserPage } = require('./leaderboards');
+const { getUserStats } = require('./stats');
+const { displayName, syncMember, getMention, findMember } = require('./members');
+const { exportChat, usersToCsv, parseImport, previewImport, applyImport } = require('./transfer');
+const { getTiers, getChatTiers, describeScore, setTier, unsetTier, resetTiers } = require('./tiers');
+const {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  translate,
+  translator,
+  getChatLanguage,
+  setChatLanguage,
+  getTranslator
+} = require('./i18n');
+const {
+  SEASON_LENGTHS,
+  getSeason,
+  configureSeason,
+  endSeason,
+  getEndedSeasons,
+  listSeasons
+} = require('./seasons');
+const {
+  DIGEST_DAYS,
+  normalizeTimezone,
+  formatZoned,
+  parseSchedule,
+  getDigest,
+  scheduleDigest,
+  cancelDigest,
+  getDueDigests,
+  claimDigest,
+  buildDigest
+} = require('./digest');
+const {
+  BADGES,
+  BADGE_KEYS,
+  getDisabledBadges,
+  setBadgeEnabled,
+  getUserBadges,
+  checkVoteBadges,
+  checkLeaderBadges
+} = require('./badges');
+const { votesAccepted, votesRejected, handlerErrors } = require('./metrics');
+const { logger, withUpdateContext } = require('./logger');
+
+const HISTORY_DEFAULT = 10;
+const HISTORY_MAX = 50;
+const MAX_VOTE_CREDITS = 1000;
+const HALL_OF_FAME_SIZE = 10;
+const RESET_CONFIRM_WINDOW = 60 * 1000;
+const IMPORT_CONFIRM_WINDOW = 5 * 60 * 1000;
+const MAX_IMPORT_MB = 5;
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Commands that work with any storage; the rest need MongoDB (see
+// storage/index.js)
+const BASIC_COMMANDS = ['start', 'score', 'leaderboard', 'stickers', 'tiers'];
+
+
+// Attach every command, vote and button handler to a bot. Returns the
+// scheduled jobs that need the bot, so the caller decides when they run.
+const attachHandlers = (bot) => {
+  // node-telegram-bot-api doesn't know about message_reaction updates yet, so
+  // emit them ourselves before handing the update to the library. Everything
+  // logged while handling an update carries its ids.
+  const processUpdate = bot.processUpdate.bind(bot);
+  bot.processUpdate = update => withUpdateContext(update, () => {
+    if (update.message_reaction) {
+      bot.emit('message_reaction', update.message_reaction);
+    }
+    return processUpdate(update);
+  });
+
+  // Apologise for a failed command in the chat's language, or the default
+  // language if that can't be looked up either
+  const replyError = async (chatId, key) => {
+    handlerErrors.inc({ handler: key });
+    const language = await getChatLanguage(chatId).catch(() => DEFAULT_LANGUAGE);
+    await bot.sendMessage(chatId, translate(language, `errors.${key}`));
+  };
+
+  // Handlers that need MongoDB are only attached when the storage is it, so
+  // other storage leaves those commands unanswered rather than failing
+  const { complete } = getStorage();
+  const onCommand = (command, regexp, callback) => {
+    if (complete || BASIC_COMMANDS.includes(command)) {
+      bot.onText(regexp, callback);
+    }
+  };
+
+  // Write a credit change with its sign, e.g. +20 or -5
+  const signed = value => (value > 0 ? `+${value}` : `${value}`);
+
+  // Escape text for messages sent with parse_mode HTML
+  const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  // A clickable link to a user (a text_mention) for HTML messages
+  const mentionLink = (telegramId, name) => `<a href="tg://user?id=${telegramId}">${escapeHtml(name)}</a>`;
+
+  // Every message: trace it, and keep what the bot knows about its chat and
+  // sender current
+  bot.on('message', (msg) => {
+    logger.debug('Message received', {
+      type: msg.type,
+      chat: {
+        id: msg.chat.id,
+        type: msg.chat.type,
+        title: msg.chat.title
+      },
+      from: {
+        id: msg.from.id,
+        username: msg.from.username,
+        first_name: msg.from.first_name
+      },
+      text: msg.text,
+      sticker: msg.sticker ? {
+        file_id: msg.sticker.file_id,
+        emoji: msg.sticker.emoji,
+        set_name: msg.sticker.set_name
+      } : null
+    });
+
+    // Remember who wrote the message so reactions to it can be scored
+    rememberMessageAuthor(msg);
+
+    // Remember the chat so the dashboard can list it by name
+    getStorage().touchChat(msg.chat).catch(err => {
+      logger.error('Error recording chat', { err });
+    });
+
+    // Keep the stored names of the sender, and whoever they replied to, current
+    [msg.from, msg.reply_to_message && msg.reply_to_message.from]
+      .filter(from => from && !from.is_bot)
+      .forEach((from) => {
+        syncMember(msg.chat.id, from).catch(err => {
+          logger.error('Error syncing member name', { err });
+        });
+      });
+  });
+
+  // Handle /start command
+  onCommand('start', /\/start/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const userId = msg.from.id;
+      const username = displayName(msg.from);
+      const t = await getTranslator(chatId);
+
+      // Register the user unless they already have a score
+      const { user, created } = await getStorage().createUser(chatId, { id: userId, name: username, handle: msg.from.username });
+
+      if (created) {
+        logger.info('User registered', { telegramId: user.telegramId });
+        await bot.sendMessage(chatId, t('start.welcome', { name: username }));
+      } else {
+        await bot.sendMessage(chatId, t('start.welcomeBack', { name: username, score: user.creditScore }));
+      }
+    } catch (err) {
+      logger.error('Error handling /start command', { err });
+      await replyError(msg.chat.id, 'generic');
+    }
+  });
+
+  // Render one page of a leaderboard view as message text and inline buttons.
+  // Button data is "lb:<view>:<page>", or "lb:<view>:me" to jump to the
+  // presser's own page.
+  const renderLeaderboard = (board, t) => {
+    if (board.rows.length === 0) {
+      return { text: t(board.view === 'week' ? 'leaderboard.weekEmpty' : 'leaderboard.empty') };
+    }
+
+    let text = `${t(`leaderboard.${board.view}Title`)}\n\n`;
+    board.rows.forEach((row) => {
+      const medal = board.view !== 'week' && row.position <= 3 ? ["🥇", "🥈", "🥉"][row.position - 1] : `${row.position}.`;
+      text += board.view === 'week'
+        ? `${t('leaderboard.weekRow', { position: medal, name: mentionLink(row.telegramId, row.username), change: signed(row.value) })}\n`
+        : `${t('leaderboard.row', { position: medal, name: mentionLink(row.telegramId, row.username), score: row.value })}\n`;
+    });
+    text += `\n${t('leaderboard.page', { page: board.page + 1, pages: board.pages })}`;
+
+    const arrows = [];
+    if (board.page > 0) {
+      arrows.push({ text: '◀', callback_data: `lb:${board.view}:${board.page - 1}` });
+    }
+    if (board.page < board.pages - 1) {
+      arrows.push({ text: '▶', callback_data: `lb:${board.view}:${board.page + 1}` });
+    }
+    const keyboard = [arrows, [{ text: t('leaderboard.whereAmI'), callback_data: `lb:${board.view}:me` }]]
+      .filter(row => row.length > 0);
+
+    return { text, replyMarkup: { inline_keyboard: keyboard } };
+  };
+
+  // Handle /leaderboard command, optionally with a view: bottom or week
+  onCommand('leaderboard', /\/leaderboard(?:@\w+)?(?:\s+(\w+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      const view = match[1] ? match[1].toLowerCase() : 'top';
+
+      if (!LEADERBOARD_VIEWS.includes(view)) {
+        await bot.sendMessage(chatId, t('leaderboard.usage'));
+        return;
+      }
+
+      const board = await getLeaderboardPage(chatId, view, 0);
+      const { text, replyMarkup } = renderLeaderboard(board, t);
+      await bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: replyMarkup });
+    } catch (err) {
+      logger.error('Error handling /leaderboard command', { err });
+      await replyError(msg.chat.id, 'leaderboard');
+    }
+  });
+
+  // Handle presses of the leaderboard's inline buttons by editing the message
+  // in place
+  bot.on('callback_query', async (query) => {
+    const match = query.data && query.data.match(/^lb:(\w+):(\d+|me)$/);
+    if (!match || !query.message || !LEADERBOARD_VIEWS.includes(match[1])) {
+      return;
+    }
+
+    try {
+      const chatId = query.message.chat.id;
+      const view = match[1];
+      const t = await getTranslator(chatId);
+
+      let page = parseInt(match[2], 10);
+      if (match[2] === 'me') {
+        page = await findUserPage(chatId, view, query.from.id);
+        if (page === null) {
+          await bot.answerCallbackQuery(query.id, { text: t('leaderboard.notListed'), show_alert: true });
+          return;
+        }
+      }
+
+      const board = await getLeaderboardPage(chatId, view, page);
+      const { text, replyMarkup } = renderLeaderboard(board, t);
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: replyMarkup
+      }).catch((err) => {
+        // Pressing "where am I" while already on that page changes nothing
+        if (!/message is not modified/.test(err.message)) {
+          throw err;
+        }
+      });
+    } catch (err) {
+      logger.error('Error handling leaderboard button', { err });
+      handlerErrors.inc({ handler: 'leaderboardButton' });
+      const language = await getChatLanguage(query.message.chat.id).catch(() => DEFAULT_LANGUAGE);
+      await bot.answerCallbackQuery(query.id, { text: translate(language, 'errors.leaderboard') }).catch(() => {});
+    }
+  });
+
+  // Handle /score command
+  onCommand('score', /\/score/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const userId = msg.from.id;
+      const t = await getTranslator(chatId);
+
+      // Look up someone else's score when they're mentioned
+      const mention = getMention(msg);
+      const member = mention && await findMember(chatId, mention);
+      if (mention && !member) {
+        await bot.sendMessage(chatId, t('members.unknown', { handle: mention.handle }));
+        return;
+      }
+
+      // Find user's score
+      const user = await getUserStanding(chatId, member ? member.id : userId);
+
+      if (!user) {
+        await bot.sendMessage(chatId, member
+          ? t('score.otherNotRegistered', { name: member.name })
+          : t('score.notRegistered'));
+        return;
+      }
+
+      const tiers = await getTiers(chatId, t);
+      const { emoji, name } = describeScore(tiers, user.creditScore, user.rank, t);
+      await bot.sendMessage(chatId, member
+        ? t('score.other', { emoji, name: user.username, score: user.creditScore, tier: name })
+        : t('score.current', { emoji, score: user.creditScore, tier: name }));
+    } catch (err) {
+      logger.error('Error handling /score command', { err });
+      await replyError(msg.chat.id, 'score');
+    }
+  });
+
+  // Handle /history command
+  onCommand('history', /\/history(?:@\w+)?(?:\s+(\d+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      // Show another user's history when replying to them
+      const subject = msg.reply_to_message ? msg.reply_to_message.from : msg.from;
+      const limit = Math.min(Math.max(parseInt(match[1], 10) || HISTORY_DEFAULT, 1), HISTORY_MAX);
+      const name = displayName(subject);
+      const t = await getTranslator(chatId);
+
+      const entries = await getHistory(chatId, subject.id, limit);
+      if (entries.length === 0) {
+        await bot.sendMessage(chatId, t('history.empty', { name }));
+        return;
+      }
+
+      let historyMessage = `${t('history.title', { count: entries.length, name })}\n\n`;
+      entries.forEach((entry) => {
+        const delta = signed(entry.delta);
+        const by = entry.voterName ? t('history.by', { name: entry.voterName }) : '';
+        const date = entry.createdAt.toISOString().slice(0, 16).replace('T', ' ');
+        const reason = entry.reason ? ` – ${entry.reason}` : '';
+        historyMessage += `${delta}${by} (${entry.source}) ${entry.scoreBefore} → ${entry.scoreAfter} · ${date}${reason}\n`;
+      });
+
+      await bot.sendMessage(chatId, historyMessage);
+    } catch (err) {
+      logger.error('Error handling /history command', { err });
+      await replyError(msg.chat.id, 'history');
+    }
+  });
+
+  // Handle /stats command
+  onCommand('stats', /\/stats(?:@\w+)?(?:\s|$)/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      // Show another user's stats when they're mentioned or replied to
+      const mention = getMention(msg);
+      const member = mention && await findMember(chatId, mention);
+      if (mention && !member) {
+        await bot.sendMessage(chatId, t('members.unknown', { handle: mention.handle }));
+        return;
+      }
+      const from = msg.reply_to_message ? msg.reply_to_message.from : msg.from;
+      const subject = member || { id: from.id, name: displayName(from) };
+      const { name } = subject;
+
+      const stats = await getUserStats(chatId, subject.id);
+      if (!stats) {
+        await bot.sendMessage(chatId, t('stats.notFound', { name }));
+        return;
+      }
+
+      const lines = [
+        t('stats.title', { name }),
+        '',
+        t('stats.received', stats.received),
+        t('stats.given', stats.given),
+        stats.bestFriend
+          ? t('stats.bestFriend', { name: stats.bestFriend.username, points: signed(stats.bestFriend.points) })
+          : t('stats.noBestFriend'),
+        stats.nemesis
+          ? t('stats.nemesis', { name: stats.nemesis.username, points: signed(stats.nemesis.points) })
+          : t('stats.noNemesis'),
+        stats.biggestSwing
+          ? t('stats.swing', { change: signed(stats.biggestSwing.change), date: stats.biggestSwing.day.toISOString().slice(0, 10) })
+          : t('stats.noSwing'),
+        stats.rank === null
+          ? t('stats.unranked')
+          : t('stats.rank', { rank: stats.rank, total: stats.totalUsers, percentile: stats.percentile })
+      ];
+
+      await bot.sendMessage(chatId, lines.join('\n'));
+    } catch (err) {
+      logger.error('Error handling /stats command', { err });
+      await replyError(msg.chat.id, 'stats');
+    }
+  });
+
+  // Handle /setsticker command (admins only, reply to a sticker)
+  onCommand('setsticker', /\/setsticker(?:@\w+)?(?:\s+([+-]?\d+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('stickers.adminOnly'));
+        return;
+      }
+
+      const sticker = msg.reply_to_message && msg.reply_to_message.sticker;
+      const credits = match[1] ? parseInt(match[1], 10) : NaN;
+      if (!sticker || !credits || Math.abs(credits) > MAX_VOTE_CREDITS) {
+        await bot.sendMessage(chatId, t('stickers.setUsage', { max: MAX_VOTE_CREDITS }));
+        return;
+      }
+
+      const firstSticker = !(await getChatStickers(chatId));
+      await setSticker(chatId, sticker, credits, msg.from.id);
+
+      let reply = t('stickers.set', { sticker: sticker.emoji || t('stickers.thisSticker'), value: signed(credits) });
+      if (firstSticker) {
+        reply += `\n${t('stickers.ownList')}`;
+      }
+      await bot.sendMessage(chatId, reply);
+    } catch (err) {
+      logger.error('Error handling /setsticker command', { err });
+      await replyError(msg.chat.id, 'saveSticker');
+    }
+  });
+
+  // Handle /unsetsticker command (admins only, reply to a sticker)
+  onCommand('unsetsticker', /\/unsetsticker/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('stickers.adminOnly'));
+        return;
+      }
+
+      const sticker = msg.reply_to_message && msg.reply_to_message.sticker;
+      if (!sticker) {
+        await bot.sendMessage(chatId, t('stickers.unsetUsage'));
+        return;
+      }
+
+      const removed = await unsetSticker(chatId, sticker);
+      await bot.sendMessage(chatId, removed
+        ? t('stickers.unset', { sticker: sticker.emoji || t('stickers.thisSticker') })
+        : t('stickers.notFound'));
+    } catch (err) {
+      logger.error('Error handling /unsetsticker command', { err });
+      await replyError(msg.chat.id, 'removeSticker');
+    }
+  });
+
+  // Handle /stickers command
+  onCommand('stickers', /\/stickers/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      const stickers = await getChatStickers(chatId);
+
+      if (!stickers) {
+        await bot.sendMessage(chatId, t('stickers.defaults'));
+        return;
+      }
+      if (stickers.length === 0) {
+        await bot.sendMessage(chatId, t('stickers.empty'));
+        return;
+      }
+
+      let stickersMessage = `${t('stickers.title')}\n\n`;
+      stickers.forEach((sticker) => {
+        const set = sticker.setName ? t('stickers.fromSet', { set: sticker.setName }) : '';
+        stickersMessage += `${t('stickers.row', { emoji: sticker.emoji || '❔', set, value: signed(sticker.credits) })}\n`;
+      });
+
+      await bot.sendMessage(chatId, stickersMessage);
+    } catch (err) {
+      logger.error('Error handling /stickers command', { err });
+      await replyError(msg.chat.id, 'stickers');
+    }
+  });
+
+  // Handle /setreaction command (admins only)
+  onCommand('setreaction', /\/setreaction(?:@\w+)?(?:\s+(\S+)\s+([+-]?\d+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('reactions.adminOnly'));
+        return;
+      }
+
+      const emoji = match[1];
+      const credits = match[2] ? parseInt(match[2], 10) : NaN;
+      if (!emoji || !credits || Math.abs(credits) > MAX_VOTE_CREDITS) {
+        await bot.sendMessage(chatId, t('reactions.setUsage', { max: MAX_VOTE_CREDITS }));
+        return;
+      }
+
+      await setReaction(chatId, emoji, credits);
+      await bot.sendMessage(chatId, t('reactions.set', { emoji, value: signed(credits) }));
+    } catch (err) {
+      logger.error('Error handling /setreaction command', { err });
+      await replyError(msg.chat.id, 'saveReaction');
+    }
+  });
+
+  // Handle /unsetreaction command (admins only)
+  onCommand('unsetreaction', /\/unsetreaction(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('reactions.adminOnly'));
+        return;
+      }
+
+      const emoji = match[1];
+      if (!emoji) {
+        await bot.sendMessage(chatId, t('reactions.unsetUsage'));
+        return;
+      }
+
+      const removed = await unsetReaction(chatId, emoji);
+      await bot.sendMessage(chatId, removed
+        ? t('reactions.unset', { emoji })
+        : t('reactions.notFound', { emoji }));
+    } catch (err) {
+      logger.error('Error handling /unsetreaction command', { err });
+      await replyError(msg.chat.id, 'removeReaction');
+    }
+  });
+
+  // Handle /reactions command
+  onCommand('reactions', /\/reactions/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      const reactions = await getChatReactions(chatId);
+
+      if (reactions.length === 0) {
+        await bot.sendMessage(chatId, t('reactions.empty'));
+        return;
+      }
+
+      let reactionsMessage = `${t('reactions.title')}\n\n`;
+      reactions.forEach((reaction) => {
+        reactionsMessage += `${t('reactions.row', { emoji: reaction.emoji, value: signed(reaction.credits) })}\n`;
+      });
+
+      await bot.sendMessage(chatId, reactionsMessage);
+    } catch (err) {
+      logger.error('Error handling /reactions command', { err });
+      await replyError(msg.chat.id, 'reactions');
+    }
+  });
+
+  // Describe a chat's vote limits for /limits and /setlimit
+  const formatLimits = (limits, t) => {
+    const count = (value, unit) => (value ? t(`limits.${unit}`, { count: value }) : t('limits.off'));
+    return [
+      t('limits.budget', { value: count(limits.dailyBudget, 'budgetValue') }),
+      t('limits.cooldown', { value: count(limits.pairCooldownMinutes, 'cooldownValue') }),
+      t('limits.permessage', { value: limits.onePerMessage ? t('limits.permessageValue') : t('limits.off') }),
+      t('limits.cap', { value: count(limits.dailyTargetCap, 'capValue') }),
+      limits.rejectionNotice === 'reply' ? t('limits.notifyReply') : t('limits.notifySilent')
+    ].join('\n');
+  };
+
+  // Handle /limits command
+  onCommand('limits', /\/limits/, async (msg) => {
+    try {
+      const t = await getTranslator(msg.chat.id);
+      const limits = await getChatLimits(msg.chat.id);
+      await bot.sendMessage(msg.chat.id, `${t('limits.title')}\n\n${formatLimits(limits, t)}\n\n${t('limits.howToChange')}`);
+    } catch (err) {
+      logger.error('Error handling /limits command', { err });
+      await replyError(msg.chat.id, 'limits');
+    }
+  });
+
+  // Handle /setlimit command (admins only)
+  onCommand('setlimit', /\/setlimit(?:@\w+)?(?:\s+(\w+)\s+(\w+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('limits.adminOnly'));
+        return;
+      }
+
+      const limits = match[1] ? await setChatLimit(chatId, match[1].toLowerCase(), match[2].toLowerCase()) : null;
+      if (!limits) {
+        await bot.sendMessage(chatId, t('limits.usage', { names: Object.keys(LIMIT_SETTINGS).join('|') }));
+        return;
+      }
+
+      await bot.sendMessage(chatId, `${t('limits.updated')}\n\n${formatLimits(limits, t)}`);
+    } catch (err) {
+      logger.error('Error handling /setlimit command', { err });
+      await replyError(msg.chat.id, 'saveLimit');
+    }
+  });
+
+  // Describe a chat's vote weighting for /weighting and /setweight
+  const formatWeighting = (weighting, t) => {
+    const factor = (value, key, params) => (value ? t(`weighting.${key}`, params) : t('weighting.off'));
+    return [
+      t('weighting.status', { state: weighting.enabled ? t('weighting.on') : t('weighting.off') }),
+      '',
+      t('weighting.formula'),
+      t('weighting.score', { value: factor(weighting.scoreScale, 'scoreValue', { scale: weighting.scoreScale }) }),
+      t('weighting.tenure', { value: factor(weighting.tenureDays, 'tenureValue', { days: weighting.tenureDays }) }),
+      t('weighting.activity', {
+        value: factor(weighting.activityThreshold, 'activityValue', { count: weighting.activityThreshold }),
+        hours: weighting.activityWindowHours
+      }),
+      t('weighting.min', { value: weighting.minWeight }),
+      t('weighting.max', { value: weighting.maxWeight }),
+      t('weighting.floor', { value: weighting.positiveOnlyBelow })
+    ].join('\n');
+  };
+
+  // Handle /weighting command; admins can turn weighting on or off
+  onCommand('weighting', /\/weighting(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!match[1]) {
+        const weighting = await getChatWeighting(chatId);
+        await bot.sendMessage(chatId, `⚖️ ${formatWeighting(weighting, t)}\n\n${t('weighting.howToChange')}`);
+        return;
+      }
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('weighting.adminOnly'));
+        return;
+      }
+
+      const mode = match[1].toLowerCase();
+      if (!['on', 'off'].includes(mode)) {
+        await bot.sendMessage(chatId, t('weighting.toggleUsage'));
+        return;
+      }
+
+      const weighting = await setWeightingEnabled(chatId, mode === 'on');
+      await bot.sendMessage(chatId, `✅ ${formatWeighting(weighting, t)}`);
+    } catch (err) {
+      logger.error('Error handling /weighting command', { err });
+      await replyError(msg.chat.id, 'weighting');
+    }
+  });
+
+  // Handle /setweight command (admins only)
+  onCommand('setweight', /\/setweight(?:@\w+)?(?:\s+(\w+)\s+(\S+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('weighting.adminOnly'));
+        return;
+      }
+
+      const result = match[1] ? await setWeightingParam(chatId, match[1].toLowerCase(), match[2]) : null;
+      if (!result) {
+        await bot.sendMessage(chatId, t('weighting.usage', { names: Object.keys(WEIGHTING_SETTINGS).join('|') }));
+        return;
+      }
+      if (result.reason) {
+        await bot.sendMessage(chatId, t(result.reason.key, result.reason.params));
+        return;
+      }
+
+      await bot.sendMessage(chatId, `${t('weighting.updated')}\n\n${formatWeighting(result.weighting, t)}`);
+    } catch (err) {
+      logger.error('Error handling /setweight command', { err });
+      await replyError(msg.chat.id, 'saveWeighting');
+    }
+  });
+
+  // Handle /tiers command
+  onCommand('tiers', /\/tiers/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      const tiers = await getTiers(chatId, t);
+      const custom = await getChatTiers(chatId);
+
+      let tiersMessage = `${t('tiers.title')}\n\n`;
+      tiers.forEach((tier, index) => {
+        const row = index === tiers.length - 1 && index > 0 ? 'tiers.lowest' : 'tiers.row';
+        // The lowest tier covers everything below the one above it
+        const min = row === 'tiers.lowest' ? tiers[index - 1].min : tier.min;
+        tiersMessage += `${t(row, { emoji: tier.emoji, name: tier.name, min })}\n`;
+      });
+      if (!custom) {
+        tiersMessage += `\n${t('tiers.defaults')}`;
+      }
+
+      await bot.sendMessage(chatId, `${tiersMessage}\n${t('tiers.howToChange')}`);
+    } catch (err) {
+      logger.error('Error handling /tiers command', { err });
+      await replyError(msg.chat.id, 'tiers');
+    }
+  });
+
+  // Handle /settier command (admins only)
+  onCommand('settier', /\/settier(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('tiers.adminOnly'));
+        return;
+      }
+
+      // <min score> <emoji> <name> [| comment]
+      const parts = match[1] && match[1].match(/^(-?\d+)\s+(\S+)\s+([^|]+?)\s*(?:\|\s*(.+))?$/);
+      if (!parts) {
+        await bot.sendMessage(chatId, t('tiers.setUsage'));
+        return;
+      }
+
+      const tier = await setTier(chatId, {
+        min: parseInt(parts[1], 10),
+        emoji: parts[2],
+        name: parts[3],
+        comment: parts[4] && parts[4].trim()
+      }, t);
+      await bot.sendMessage(chatId, t('tiers.set', tier));
+    } catch (err) {
+      logger.error('Error handling /settier command', { err });
+      await replyError(msg.chat.id, 'saveTiers');
+    }
+  });
+
+  // Handle /unsettier command (admins only)
+  onCommand('unsettier', /\/unsettier(?:@\w+)?(?:\s+(-?\d+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('tiers.adminOnly'));
+        return;
+      }
+
+      if (!match[1]) {
+        await bot.sendMessage(chatId, t('tiers.unsetUsage'));
+        return;
+      }
+
+      const min = parseInt(match[1], 10);
+      const removed = await unsetTier(chatId, min, t);
+      await bot.sendMessage(chatId, removed ? t('tiers.unset', { min }) : t('tiers.notFound', { min }));
+    } catch (err) {
+      logger.error('Error handling /unsettier command', { err });
+      await replyError(msg.chat.id, 'saveTiers');
+    }
+  });
+
+  // Handle /resettiers command (admins only)
+  onCommand('resettiers', /\/resettiers/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('tiers.adminOnly'));
+        return;
+      }
+
+      await resetTiers(chatId);
+      await bot.sendMessage(chatId, t('tiers.reset'));
+    } catch (err) {
+      logger.error('Error handling /resettiers command', { err });
+      await replyError(msg.chat.id, 'saveTiers');
+    }
+  });
+
+  // Handle /language command; admins can change the chat's language
+  onCommand('language', /\/language(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const language = await getChatLanguage(chatId);
+      const t = translator(language);
+
+      if (!match[1]) {
+        const languages = LANGUAGES.map(code => `${code} (${translate(code, 'languageName')})`).join(', ');
+        await bot.sendMessage(chatId, `${t('language.current', { language: t('languageName'), languages })}\n${t('language.howToChange')}`);
+        return;
+      }
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('language.adminOnly'));
+        return;
+      }
+
+      const code = match[1].toLowerCase();
+      if (!(await setChatLanguage(chatId, code))) {
+        await bot.sendMessage(chatId, t('language.usage', { codes: LANGUAGES.join('|') }));
+        return;
+      }
+
+      logger.info('Chat language changed', { chatId, from: language, to: code });
+      await bot.sendMessage(chatId, translate(code, 'language.set'));
+    } catch (err) {
+      logger.error('Error handling /language command', { err });
+      await replyError(msg.chat.id, 'language');
+    }
+  });
+
+  // Format a duration in milliseconds as e.g. "3d 4h" or "25m"
+  const formatDuration = (ms) => {
+    const minutes = Math.max(Math.floor(ms / 60000), 0);
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+  };
+
+  // Announce a finished season's top three in its chat
+  const announceSeasonEnd = async (chatId, archived) => {
+    const season = await getSeason(chatId);
+    const t = await getTranslator(chatId);
+    let seasonMessage = `${t('season.over', { number: archived.number })}\n\n`;
+
+    const podium = archived.standings.slice(0, 3);
+    if (podium.length === 0) {
+      seasonMessage += `${t('season.nobodyScored')}\n`;
+    }
+    podium.forEach((user, index) => {
+      const medal = index === 0 ? "🥇" : index === 1 ? "🥈" : "🥉";
+      seasonMessage += `${t('season.podiumRow', { medal, name: mentionLink(user.telegramId, user.username), score: user.creditScore })}\n`;
+    });
+
+    seasonMessage += archived.carryOver
+      ? `\n${t('season.carriedOver', { number: season.number, carryOver: archived.carryOver })}`
+      : `\n${t('season.resetToZero', { number: season.number })}`;
+    await bot.sendMessage(chatId, seasonMessage, { parse_mode: 'HTML' });
+  };
+
+  // End every season whose scheduled end has passed
+  const checkSeasons = async () => {
+    try {
+      const ended = await getEndedSeasons();
+      for (const { chatId, number } of ended) {
+        const archived = await endSeason(chatId, number);
+        if (archived) {
+          logger.info('Season ended', { chatId, number });
+          await announceSeasonEnd(chatId, archived);
+        }
+      }
+    } catch (err) {
+      logger.error('Error checking seasons', { err });
+      handlerErrors.inc({ handler: 'checkSeasons' });
+    }
+  };
+
+  // Handle /season command
+  onCommand('season', /\/season(?![\w])/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      const season = await getSeason(chatId);
+      const { users: topUsers } = await getLeaderboard(chatId, { limit: 10 });
+
+      let seasonMessage = `${t('season.title', { number: season.number })}\n`;
+      seasonMessage += season.endsAt
+        ? `${t('season.endsIn', { duration: formatDuration(season.endsAt - Date.now()), length: season.length })}\n\n`
+        : `${t('season.manual')}\n\n`;
+
+      if (topUsers.length === 0) {
+        seasonMessage += t('season.empty');
+      }
+      topUsers.forEach((user, index) => {
+        const medal = index === 0 ? "🥇" : index === 1 ? "🥈" : index === 2 ? "🥉" : `${index + 1}.`;
+        seasonMessage += `${t('season.podiumRow', { medal, name: mentionLink(user.telegramId, user.username), score: user.creditScore })}\n`;
+      });
+
+      await bot.sendMessage(chatId, seasonMessage, { parse_mode: 'HTML' });
+    } catch (err) {
+      logger.error('Error handling /season command', { err });
+      await replyError(msg.chat.id, 'season');
+    }
+  });
+
+  // Handle /setseason command (admins only)
+  onCommand('setseason', /\/setseason(?:@\w+)?(?:\s+(\w+))?(?:\s+(\d+)%?)?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('season.adminOnly'));
+        return;
+      }
+
+      const length = match[1] && match[1].toLowerCase();
+      const carryOver = match[2] === undefined ? undefined : parseInt(match[2], 10);
+      if (!SEASON_LENGTHS.includes(length) || carryOver > 100) {
+        await bot.sendMessage(chatId, t('season.setUsage', { lengths: SEASON_LENGTHS.join('|') }));
+        return;
+      }
+
+      const season = await configureSeason(chatId, { length, carryOver });
+      let reply = t('season.configured', { length: season.length, carryOver: season.carryOver });
+      if (season.endsAt) {
+        reply += `\n${t('season.currentEndsIn', { number: season.number, duration: formatDuration(season.endsAt - Date.now()) })}`;
+      }
+      await bot.sendMessage(chatId, reply);
+    } catch (err) {
+      logger.error('Error handling /setseason command', { err });
+      await replyError(msg.chat.id, 'saveSeason');
+    }
+  });
+
+  // Handle /newseason command (admins only)
+  onCommand('newseason', /\/newseason/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('season.newAdminOnly'));
+        return;
+      }
+
+      const archived = await endSeason(chatId);
+      if (!archived) {
+        await bot.sendMessage(chatId, t('season.alreadyEnded'));
+        return;
+      }
+      await announceSeasonEnd(chatId, archived);
+    } catch (err) {
+      logger.error('Error handling /newseason command', { err });
+      await replyError(msg.chat.id, 'newSeason');
+    }
+  });
+
+  // Handle /halloffame command
+  onCommand('halloffame', /\/halloffame/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      const seasons = await listSeasons(chatId, { limit: HALL_OF_FAME_SIZE });
+
+      if (seasons.length === 0) {
+        await bot.sendMessage(chatId, t('season.hallEmpty'));
+        return;
+      }
+
+      let hallMessage = `${t('season.hallTitle')}\n\n`;
+      seasons.forEach((season) => {
+        const winner = season.standings[0];
+        const ended = season.endedAt.toISOString().slice(0, 10);
+        hallMessage += winner
+          ? `${t('season.hallWinner', { number: season.number, ended, name: mentionLink(winner.telegramId, winner.username), score: winner.creditScore })}\n`
+          : `${t('season.hallNoWinner', { number: season.number, ended })}\n`;
+      });
+
+      await bot.sendMessage(chatId, hallMessage, { parse_mode: 'HTML' });
+    } catch (err) {
+      logger.error('Error handling /halloffame command', { err });
+      await replyError(msg.chat.id, 'hallOfFame');
+    }
+  });
+
+  // A link to a message, for supergroups where Telegram can open one by id
+  const messageLink = (chatId, messageId) => {
+    const id = chatId.toString();
+    return id.startsWith('-100') ? `https://t.me/c/${id.slice(4)}/${messageId}` : null;
+  };
+
+  // Render a chat's weekly digest as an HTML message
+  const renderDigest = (chatId, digest, t) => {
+    let text = `${t('digest.title')}\n\n${t('digest.votes', { count: digest.votes })}\n`;
+
+    const moverRow = row => `${t('digest.moverRow', { name: mentionLink(row.telegramId, row.username), change: signed(row.change) })}\n`;
+    if (digest.gainers.length > 0) {
+      text += `\n${t('digest.gainers')}\n${digest.gainers.map(moverRow).join('')}`;
+    }
+    if (digest.losers.length > 0) {
+      text += `\n${t('digest.losers')}\n${digest.losers.map(moverRow).join('')}`;
+    }
+
+    if (digest.generous) {
+      text += `\n${t('digest.generous', { name: mentionLink(digest.generous.telegramId, digest.generous.username), points: digest.generous.points })}\n`;
+    }
+    if (digest.downvoted) {
+      const link = messageLink(chatId, digest.downvoted.messageId);
+      text += `${t('digest.downvoted', {
+        message: link ? `<a href="${link}">${t('digest.message')}</a>` : t('digest.message'),
+        name: mentionLink(digest.downvoted.telegramId, digest.downvoted.username),
+        count: digest.downvoted.downvotes
+      })}\n`;
+    }
+
+    text += `\n${t('digest.top')}\n`;
+    if (digest.top.length === 0) {
+      text += t('leaderboard.empty');
+    }
+    digest.top.forEach((user) => {
+      const medal = user.rank <= 3 ? ["🥇", "🥈", "🥉"][user.rank - 1] : `${user.rank}.`;
+      text += `${t('leaderboard.row', { position: medal, name: mentionLink(user.telegramId, user.username), score: user.creditScore })}\n`;
+    });
+    return text;
+  };
+
+  // Post every digest that is due. Each one is claimed first so that only
+  // one instance posts it.
+  const checkDigests = async () => {
+    try {
+      const due = await getDueDigests();
+      for (const { chatId, digest } of due) {
+        try {
+          if (!(await claimDigest(chatId, digest))) {
+            continue;
+          }
+          const t = await getTranslator(chatId);
+          const text = renderDigest(chatId, await buildDigest(chatId), t);
+          await bot.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true });
+          logger.info('Digest posted', { chatId });
+        } catch (err) {
+          logger.error('Error posting digest', { chatId, err });
+          handlerErrors.inc({ handler: 'checkDigests' });
+        }
+      }
+    } catch (err) {
+      logger.error('Error checking digests', { err });
+      handlerErrors.inc({ handler: 'checkDigests' });
+    }
+  };
+
+  // Describe a digest schedule with one of the digest messages that take a
+  // day, time, timezone and next date
+  const describeSchedule = (key, digest, t) => t(`digest.${key}`, {
+    day: t(`digest.days.${DIGEST_DAYS[digest.day]}`),
+    time: digest.time,
+    timezone: digest.timezone,
+    next: formatZoned(digest.nextAt, digest.timezone)
+  });
+
+  // Handle /digest command: show the schedule, or (admins) set or turn it off
+  onCommand('digest', /\/digest(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+
+      if (!match[1]) {
+        const digest = await getDigest(chatId);
+        await bot.sendMessage(chatId, digest ? describeSchedule('schedule', digest, t) : t('digest.off'));
+        return;
+      }
+
+      if (!(await isChatAdmin(bot, msg))) {
+        await bot.sendMessage(chatId, t('digest.adminOnly'));
+        return;
+      }
+
+      const args = match[1].trim().split(/\s+/);
+      if (args.length === 1 && args[0].toLowerCase() === 'off') {
+        await bot.sendMessage(chatId, (await cancelDigest(chatId)) ? t('digest.disabled') : t('digest.off'));
+        return;
+      }
+
+      const schedule = parseSchedule(args);
+      if (!schedule) {
+        await bot.sendMessage(chatId, t('digest.usage'));
+        return;
+      }
+      const timezone = normalizeTimezone(schedule.timezone);
+      if (!timezone) {
+        await bot.sendMessage(chatId, t('digest.badTimezone', { timezone: schedule.timezone }));
+        return;
+      }
+
+      const digest = await scheduleDigest(chatId, { ...schedule, timezone });
+      logger.info('Digest scheduled', { chatId, digest });
+      await bot.sendMessage(chatId, describeSchedule('scheduled', digest, t));
+    } catch (err) {
+      logger.error('Error handling /digest command', { err });
+      await replyError(msg.chat.id, 'digest');
+    }
+  });
+
+  // A badge's emoji and name, e.g. "💯 Centurion"
+  const badgeLabel = (badge, t) => `${BADGES[badge].emoji} ${t(`badges.names.${badge}`)}`;
+
+  const badgeDescription = (badge, t) => t(`badges.descriptions.${badge}`, BADGES[badge].params);
+
+  const announceBadges = async (chatId, t, awards) => {
+    for (const { badge, telegramId, username } of awards) {
+      await bot.sendMessage(chatId, t('badges.earned', {
+        name: mentionLink(telegramId, username),
+        badge: escapeHtml(badgeLabel(badge, t)),
+        description: escapeHtml(badgeDescription(badge, t))
+      }), { parse_mode: 'HTML' });
+    }
+  };
+
+  // Award and announce the badges a vote earned. Badges need MongoDB, and a
+  // failure here shouldn't undo the vote's confirmation.
+  const checkBadges = async (chatId, t, user, voter) => {
+    if (!getStorage().complete) {
+      return;
+    }
+    try {
+      const awards = await checkVoteBadges(chatId, { target: user, voter });
+      await announceBadges(chatId, t, [...awards, ...await checkLeaderBadges(chatId)]);
+    } catch (err) {
+      logger.error('Error checking badges', { chatId, err });
+      handlerErrors.inc({ handler: 'badges' });
+    }
+  };
+
+  // Award the badges for holding #1, which come with time rather than votes
+  const checkLeaders = async () => {
+    try {
+      const chatIds = await getStorage().listChatIds();
+      for (const chatId of chatIds) {
+        try {
+          const awards = await checkLeaderBadges(chatId);
+          if (awards.length > 0) {
+            await announceBadges(chatId, await getTranslator(chatId), awards);
+          }
+        } catch (err) {
+          logger.error('Error checking leader badges', { chatId, err });
+          handlerErrors.inc({ handler: 'checkLeaders' });
+        }
+      }
+    } catch (err) {
+      logger.error('Error checking leaders', { err });
+      handlerErrors.inc({ handler: 'checkLeaders' });
+    }
+  };
+
+  // Handle /badges command: list someone's badges, or (admins) turn a badge
+  // on or off
+  onCommand('badges', /\/badges(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      const args = match[1] ? match[1].trim().split(/\s+/) : [];
+
+      if (args.length > 0 && ['on', 'off'].includes(args[0].toLowerCase())) {
+        if (!(await isChatAdmin(bot, msg))) {
+          await bot.sendMessage(chatId, t('badges.adminOnly'));
+          return;
+        }
+        const badge = (args[1] || '').toLowerCase();
+        const enabled = args[0].toLowerCase() === 'on';
+        if (args.length !== 2 || !(await setBadgeEnabled(chatId, badge, enabled))) {
+          await bot.sendMessage(chatId, t('badges.usage', { badges: BADGE_KEYS.join('|') }));
+          return;
+        }
+        logger.info('Badge toggled', { chatId, badge, enabled });
+        await bot.sendMessage(chatId, t(enabled ? 'badges.enabled' : 'badges.disabled', { badge: badgeLabel(badge, t) }));
+        return;
+      }
+
+      // Show another user's badges when they're mentioned or replied to
+      const mention = getMention(msg);
+      const member = mention && await findMember(chatId, mention);
+      if (mention && !member) {
+        await bot.sendMessage(chatId, t('members.unknown', { handle: mention.handle }));
+        return;
+      }
+      const from = msg.reply_to_message ? msg.reply_to_message.from : msg.from;
+      const subject = member || { id: from.id, name: displayName(from) };
+
+      const [earned, disabled] = await Promise.all([
+        getUserBadges(chatId, subject.id),
+        getDisabledBadges(chatId)
+      ]);
+      const unearned = BADGE_KEYS.filter(badge => !disabled.includes(badge)
+        && !earned.some(award => award.badge === badge));
+
+      const lines = [t('badges.title', { name: subject.name }), ''];
+      if (earned.length === 0) {
+        lines.push(t('badges.none'));
+      }
+      earned.forEach(({ badge, awardedAt }) => {
+        lines.push(t('badges.row', {
+          badge: badgeLabel(badge, t),
+          description: badgeDescription(badge, t),
+          date: awardedAt.toISOString().slice(0, 10)
+        }));
+      });
+      if (unearned.length > 0) {
+        lines.push('', t('badges.unearned'));
+        unearned.forEach((badge) => {
+          lines.push(t('badges.unearnedRow', { badge: badgeLabel(badge, t), description: badgeDescription(badge, t) }));
+        });
+      }
+
+      await bot.sendMessage(chatId, lines.join('\n'));
+    } catch (err) {
+      logger.error('Error handling /badges command', { err });
+      await replyError(msg.chat.id, 'badges');
+    }
+  });
+
+  // Tell non-admins off. Resolves with whether the sender is a chat admin.
+  const requireAdmin = async (msg, t) => {
+    if (await isChatAdmin(bot, msg)) {
+      return true;
+    }
+    await bot.sendMessage(msg.chat.id, t('admin.only'));
+    return false;
+  };
+
+  // The user an admin command replies to, or null (with a usage hint sent)
+  const getReplyTarget = async (msg, usage, t) => {
+    const target = msg.reply_to_message && msg.reply_to_message.from;
+    if (!target || target.is_bot) {
+      await bot.sendMessage(msg.chat.id, t('admin.replyTo', { usage }));
+      return null;
+    }
+    return {
+      id: target.id.toString(),
+      name: displayName(target)
+    };
+  };
+
+  // Tell the chat who did what, and why
+  const announceAdminAction = (msg, t, action, reason) => {
+    const admin = displayName(msg.from);
+    const why = reason ? `\n${t('admin.reason', { reason })}` : '';
+    return bot.sendMessage(msg.chat.id, `${t('admin.announce', { admin, action })}${why}`);
+  };
+
+  const adminVoter = (msg) => ({
+    id: msg.from.id.toString(),
+    name: displayName(msg.from)
+  });
+
+  // Handle /adjust command (admins only, reply to someone)
+  onCommand('adjust', /\/adjust(?:@\w+)?(?:\s+([+-]?\d+))?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const usage = "/adjust +50 <reason>";
+      const t = await getTranslator(msg.chat.id);
+      if (!(await requireAdmin(msg, t))) return;
+      const target = await getReplyTarget(msg, usage, t);
+      if (!target) return;
+
+      const amount = match[1] ? parseInt(match[1], 10) : 0;
+      const reason = match[2] && match[2].trim();
+      if (!amount || !reason) {
+        await bot.sendMessage(msg.chat.id, t('admin.usage', { usage }));
+        return;
+      }
+
+      const { user, entry } = await applyScoreChange({
+        chatId: msg.chat.id,
+        target,
+        voter: adminVoter(msg),
+        delta: amount,
+        source: 'admin',
+        reason
+      });
+      await announceAdminAction(msg, t, t('admin.adjusted', {
+        name: user.username,
+        value: signed(amount),
+        before: entry.scoreBefore,
+        after: user.creditScore
+      }), reason);
+    } catch (err) {
+      logger.error('Error handling /adjust command', { err });
+      await replyError(msg.chat.id, 'adjust');
+    }
+  });
+
+  // Handle /setscore command (admins only, reply to someone)
+  onCommand('setscore', /\/setscore(?:@\w+)?(?:\s+(-?\d+))?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const usage = "/setscore 100 [reason]";
+      const t = await getTranslator(msg.chat.id);
+      if (!(await requireAdmin(msg, t))) return;
+      const target = await getReplyTarget(msg, usage, t);
+      if (!target) return;
+
+      if (!match[1]) {
+        await bot.sendMessage(msg.chat.id, t('admin.usage', { usage }));
+        return;
+      }
+
+      const score = parseInt(match[1], 10);
+      const reason = match[2] && match[2].trim();
+      const change = await setScore(msg.chat.id, target, adminVoter(msg), score, reason);
+      if (!change) {
+        await bot.sendMessage(msg.chat.id, t('admin.alreadyScore', { name: target.name, score }));
+        return;
+      }
+      await announceAdminAction(msg, t, t('admin.setScore', { name: change.user.username, score, before: change.entry.scoreBefore }), reason);
+    } catch (err) {
+      logger.error('Error handling /setscore command', { err });
+      await replyError(msg.chat.id, 'setScore');
+    }
+  });
+
+  // Handle /resetuser command (admins only, reply to someone)
+  onCommand('resetuser', /\/resetuser(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const t = await getTranslator(msg.chat.id);
+      if (!(await requireAdmin(msg, t))) return;
+      const target = await getReplyTarget(msg, "/resetuser [reason]", t);
+      if (!target) return;
+
+      const reason = match[1] && match[1].trim();
+      const change = await setScore(msg.chat.id, target, adminVoter(msg), 0, reason);
+      if (!change) {
+        await bot.sendMessage(msg.chat.id, t('admin.alreadyScore', { name: target.name, score: 0 }));
+        return;
+      }
+      await announceAdminAction(msg, t, t('admin.resetUser', { name: change.user.username, before: change.entry.scoreBefore }), reason);
+    } catch (err) {
+      logger.error('Error handling /resetuser command', { err });
+      await replyError(msg.chat.id, 'resetUser');
+    }
+  });
+
+  // Handle /resetchat command (admins only, needs confirming)
+  onCommand('resetchat', /\/resetchat(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      if (!(await requireAdmin(msg, t))) return;
+
+      const argument = match[1] && match[1].trim();
+      if (argument !== 'confirm') {
+        await requestConfirmation(chatId, 'resetChat', msg.from.id, { reason: argument }, RESET_CONFIRM_WINDOW);
+        await bot.sendMessage(chatId, t('admin.resetChatWarning', { seconds: RESET_CONFIRM_WINDOW / 1000 }));
+        return;
+      }
+
+      const pending = await takeConfirmation(chatId, 'resetChat', msg.from.id);
+      if (!pending) {
+        await bot.sendMessage(chatId, t('admin.nothingToConfirm'));
+        return;
+      }
+
+      const count = await resetChat(chatId, adminVoter(msg), pending.reason);
+      await announceAdminAction(msg, t, t('admin.resetChat', { count }), pending.reason);
+    } catch (err) {
+      logger.error('Error handling /resetchat command', { err });
+      await replyError(msg.chat.id, 'resetChat');
+    }
+  });
+
+  // Handle /export command (admins only): every score and ledger entry in the
+  // chat, as CSV and JSON documents
+  onCommand('export', /\/export(?:@\w+)?(?:\s|$)/, async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      if (!(await requireAdmin(msg, t))) return;
+
+      const data = await exportChat(chatId);
+      const filename = `fuel-credit-score-${chatId}-${data.exportedAt.toISOString().slice(0, 10)}`;
+      await bot.sendDocument(chatId, Buffer.from(usersToCsv(data.users)), {
+        caption: t('transfer.exported', { users: data.users.length, entries: data.ledger.length })
+      }, { filename: `${filename}.csv`, contentType: 'text/csv' });
+      await bot.sendDocument(chatId, Buffer.from(JSON.stringify(data, null, 2)), {}, {
+        filename: `${filename}.json`,
+        contentType: 'application/json'
+      });
+    } catch (err) {
+      logger.error('Error handling /export command', { err });
+      await replyError(msg.chat.id, 'export');
+    }
+  });
+
+  // Read a file someone sent to the chat as text
+  const downloadText = async (fileId) => {
+    const chunks = [];
+    for await (const chunk of bot.getFileStream(fileId)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  // Handle /import command (admins only). Replying to a CSV or JSON file shows
+  // a dry run; /import confirm then merges it into the chat.
+  onCommand('import', /\/import(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const chatId = msg.chat.id;
+      const t = await getTranslator(chatId);
+      if (!(await requireAdmin(msg, t))) return;
+
+      const argument = match[1] && match[1].trim();
+      if (argument === 'confirm') {
+        const pending = await takeConfirmation(chatId, 'import', msg.from.id);
+        if (!pending) {
+          await bot.sendMessage(chatId, t('transfer.nothingToConfirm'));
+          return;
+        }
+
+        // Read the previewed file again rather than keeping it around
+        const data = parseImport(await downloadText(pending.fileId), pending.fileName);
+        if (!data) {
+          await bot.sendMessage(chatId, t('transfer.invalid'));
+          return;
+        }
+        const result = await applyImport(chatId, data, adminVoter(msg), pending.reason);
+        await announceAdminAction(msg, t, t('transfer.imported', { file: pending.fileName, ...result }), pending.reason);
+        return;
+      }
+
+      const document = msg.reply_to_message && msg.reply_to_message.document;
+      if (!document) {
+        await bot.sendMessage(chatId, t('transfer.usage'));
+        return;
+      }
+      if (document.file_size > MAX_IMPORT_MB * 1024 * 1024) {
+        await bot.sendMessage(chatId, t('transfer.tooLarge', { size: MAX_IMPORT_MB }));
+        return;
+      }
+
+      const file = document.file_name || 'import';
+      const data = parseImport(await downloadText(document.file_id), file);
+      if (!data || (data.users.length === 0 && data.ledger.length === 0)) {
+        await bot.sendMessage(chatId, t('transfer.invalid'));
+        return;
+      }
+
+      const preview = await previewImport(chatId, data);
+      await requestConfirmation(chatId, 'import', msg.from.id, {
+        fileId: document.file_id,
+        fileName: file,
+        reason: argument || t('transfer.reason', { file })
+      }, IMPORT_CONFIRM_WINDOW);
+      await bot.sendMessage(chatId, t('transfer.preview', {
+        file,
+        ...preview,
+        minutes: IMPORT_CONFIRM_WINDOW / 60000
+      }));
+    } catch (err) {
+      logger.error('Error handling /import command', { err });
+      await replyError(msg.chat.id, 'import');
+    }
+  });
+
+  // Handle /mutevoter command (admins only, reply to someone)
+  onCommand('mutevoter', /\/mutevoter(?:@\w+)?(?:\s+(off|\d+[mhd]))?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const usage = "/mutevoter <30m|12h|7d|off> [reason]";
+      const t = await getTranslator(msg.chat.id);
+      if (!(await requireAdmin(msg, t))) return;
+      const target = await getReplyTarget(msg, usage, t);
+      if (!target) return;
+
+      if (!match[1]) {
+        await bot.sendMessage(msg.chat.id, t('admin.usage', { usage }));
+        return;
+      }
+
+      const reason = match[2] && match[2].trim();
+      if (match[1] === 'off') {
+        await muteVoter(msg.chat.id, target, null);
+        await announceAdminAction(msg, t, t('admin.unmuted', { name: target.name }), reason);
+        return;
+      }
+
+      const duration = parseInt(match[1], 10) * DURATION_UNITS[match[1].slice(-1)];
+      await muteVoter(msg.chat.id, target, new Date(Date.now() + duration));
+      await announceAdminAction(msg, t, t('admin.muted', { name: target.name, duration: formatDuration(duration) }), reason);
+    } catch (err) {
+      logger.error('Error handling /mutevoter command', { err });
+      await replyError(msg.chat.id, 'muteVoter');
+    }
+  });
+
+  // Handle /exclude and /include commands (admins only, reply to someone)
+  onCommand('exclude', /\/(exclude|include)(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      const excluded = match[1] === 'exclude';
+      const t = await getTranslator(msg.chat.id);
+      if (!(await requireAdmin(msg, t))) return;
+      const target = await getReplyTarget(msg, `/${match[1]} [reason]`, t);
+      if (!target) return;
+
+      const reason = match[2] && match[2].trim();
+      await setExcluded(msg.chat.id, target, excluded);
+      await announceAdminAction(msg, t, excluded
+        ? t('admin.excluded', { name: target.name })
+        : t('admin.included', { name: target.name }), reason);
+    } catch (err) {
+      logger.error(`Error handling /${match[1]} command`, { err });
+      await replyError(msg.chat.id, 'exclude');
+    }
+  });
+
+  // Show how much weighting changed a vote, e.g. " (+20 raw × 0.7 = +14)"
+  const formatWeight = (entry, t) => {
+    if (entry.weight === undefined || entry.weight === null) {
+      return '';
+    }
+    return t('weighting.applied', { raw: signed(entry.rawDelta), weight: entry.weight, delta: signed(entry.delta) });
+  };
+
+  // Announce a score change with the target's tier, and a comment on where
+  // they now stand
+  const announceScoreChange = async (chatId, t, user, entry) => {
+    const position = await getRank(chatId, user.creditScore);
+    const tiers = await getTiers(chatId, t);
+    const { emoji, comment } = describeScore(tiers, user.creditScore, position, t);
+    const changed = t('votes.changed', {
+      emoji,
+      name: user.username,
+      before: entry.scoreBefore,
+      after: user.creditScore,
+      weight: formatWeight(entry, t)
+    });
+    await bot.sendMessage(chatId, `${changed}\n${comment}`);
+    return { position, comment };
+  };
+
+  // Handle sticker messages
+  bot.on('sticker', async (msg) => {
+    try {
+      const chatId = msg.chat.id;
+      const stickerId = msg.sticker.file_id;
+      const log = logger.child({ handler: 'sticker' });
+      log.debug('Sticker received', {
+        sticker: {
+          fileId: stickerId,
+          fileUniqueId: msg.sticker.file_unique_id,
+          emoji: msg.sticker.emoji,
+          setName: msg.sticker.set_name
+        }
+      });
+      const t = await getTranslator(chatId);
+
+      // Check if this is a credit score sticker first
+      const credits = await getStickerCredits(chatId, msg.sticker);
+      if (!credits) {
+        log.debug('Not a vote sticker in this chat, ignoring');
+        return;
+      }
+      log.debug('Vote sticker', { credits });
+
+      // Check if this is a reply to another message
+      if (!msg.reply_to_message) {
+        log.debug('Vote sticker not sent as a reply');
+        votesRejected.inc({ source: 'sticker', reason: 'votes.replyToVote' });
+        await bot.sendMessage(chatId, t('votes.replyToVote'));
+        return;
+      }
+
+      const targetUserId = msg.reply_to_message.from.id.toString();
+      const targetUsername = displayName(msg.reply_to_message.from);
+      const senderId = msg.from.id.toString();
+
+      // Prevent votes from user ID 777000
+      if (senderId === '777000') {
+        log.debug('Vote from the Telegram service account ignored');
+        return;
+      }
+
+      // Prevent self-voting
+      if (senderId === targetUserId) {
+        log.debug('Self-vote refused');
+        votesRejected.inc({ source: 'sticker', reason: 'votes.selfVote' });
+        await bot.sendMessage(chatId, t('votes.selfVote'));
+        return;
+      }
+
+      // Prevent bot scoring
+      if (msg.reply_to_message.from.is_bot) {
+        log.debug('Vote for a bot refused');
+        votesRejected.inc({ source: 'sticker', reason: 'votes.botTarget' });
+        await bot.sendMessage(chatId, t('votes.botTarget'));
+        return;
+      }
+
+      // Weigh the vote by the voter's reputation, if the chat uses weighting
+      const vote = await weighVote({ chatId, voterId: senderId, delta: credits });
+
+      // Enforce the chat's anti-abuse limits
+      const rejection = await checkVoteLimits({
+        chatId,
+        voterId: senderId,
+        targetId: targetUserId,
+        messageId: msg.reply_to_message.message_id,
+        delta: vote.delta
+      });
+      if (rejection) {
+        log.debug('Vote rejected', { reason: rejection.reason.key });
+        votesRejected.inc({ source: 'sticker', reason: rejection.reason.key });
+        if (rejection.notify) {
+          const reason = t(rejection.reason.key, rejection.reason.params);
+          await bot.sendMessage(chatId, t('votes.rejected', { reason }), { reply_to_message_id: msg.message_id });
+        }
+        return;
+      }
+
+      // Update score and record it in the ledger
+      const { user, entry } = await applyScoreChange({
+        chatId,
+        target: { id: targetUserId, name: targetUsername },
+        voter: { id: senderId, name: displayName(msg.from) },
+        delta: vote.delta,
+        rawDelta: vote.rawDelta,
+        weight: vote.weight,
+        source: 'sticker',
+        messageId: msg.reply_to_message.message_id,
+        stickerId
+      });
+      votesAccepted.inc({ source: 'sticker' });
+      const oldScore = entry.scoreBefore;
+      log.debug('Score updated', { targetId: targetUserId, oldScore, newScore: user.creditScore });
+
+      // Send confirmation message with the user's new position and tier
+      const { position } = await announceScoreChange(chatId, t, user, entry);
+      log.debug('Confirmation sent', { position });
+      await checkBadges(chatId, t, user, { id: senderId, name: displayName(msg.from) });
+    } catch (err) {
+      logger.error('Error handling sticker', { err });
+      await replyError(msg.chat.id, 'sticker');
+    }
+  });
+
+  // Handle emoji reactions, which need MongoDB for each chat's reaction
+  // values and the votes to undo
+  if (complete) {
+    bot.on('message_reaction', async (reaction) => {
+      try {
+        const chatId = reaction.chat.id;
+        const messageId = reaction.message_id;
+
+        // Anonymous reactions (from channels or anonymous admins) can't vote
+        if (!reaction.user) {
+          return;
+        }
+
+        const reactorId = reaction.user.id.toString();
+        const reactorName = displayName(reaction.user);
+
+        // Prevent votes from user ID 777000
+        if (reactorId === '777000') {
+          logger.debug('Reaction from the Telegram service account ignored');
+          return;
+        }
+
+        const { added, removed } = diffReactions(reaction.old_reaction, reaction.new_reaction);
+        logger.debug('Reaction received', { messageId, added, removed });
+        const t = await getTranslator(chatId);
+
+        const changes = [];
+
+        // Removing a reaction undoes whatever it added
+        for (const emoji of removed) {
+          const vote = await getReactionVote(chatId, messageId, reactorId, emoji);
+          if (!vote || vote.net === 0) {
+            continue;
+          }
+
+          changes.push(await applyScoreChange({
+            chatId,
+            target: { id: vote.targetId, name: vote.targetName },
+            voter: { id: reactorId, name: reactorName },
+            delta: -vote.net,
+            source: 'reaction',
+            messageId,
+            reaction: emoji,
+            reversal: true
+          }));
+        }
+
+        for (const emoji of added) {
+          const credits = await getReactionCredits(chatId, emoji);
+          if (!credits) {
+            continue;
+          }
+
+          const author = getMessageAuthor(chatId, messageId);
+          if (!author) {
+            logger.debug('Reaction to a message whose author is unknown, ignoring', { messageId });
+            votesRejected.inc({ source: 'reaction', reason: 'unknownAuthor' });
+            continue;
+          }
+
+          const authorId = author.id.toString();
+          const authorName = displayName(author);
+
+          // Prevent self-voting
+          if (reactorId === authorId) {
+            votesRejected.inc({ source: 'reaction', reason: 'votes.selfVote' });
+            await bot.sendMessage(chatId, t('votes.selfVote'));
+            continue;
+          }
+
+          // Prevent bot scoring
+          if (author.is_bot) {
+            votesRejected.inc({ source: 'reaction', reason: 'votes.botTarget' });
+            await bot.sendMessage(chatId, t('votes.botTarget'));
+            continue;
+          }
+
+          // The same reaction only counts once, even if Telegram resends it
+          const existing = await getReactionVote(chatId, messageId, reactorId, emoji);
+          if (existing && existing.net !== 0) {
+            continue;
+          }
+
+          // Weigh the vote by the voter's reputation, if the chat uses weighting
+          const vote = await weighVote({ chatId, voterId: reactorId, delta: credits });
+
+          // Enforce the chat's anti-abuse limits
+          const rejection = await checkVoteLimits({
+            chatId,
+            voterId: reactorId,
+            targetId: authorId,
+            messageId,
+            delta: vote.delta
+          });
+          if (rejection) {
+            logger.debug('Reaction vote rejected', { reason: rejection.reason.key });
+            votesRejected.inc({ source: 'reaction', reason: rejection.reason.key });
+            if (rejection.notify) {
+              const reason = t(rejection.reason.key, rejection.reason.params);
+              await bot.sendMessage(chatId, t('votes.rejectedReaction', { name: reactorName, reason }), { reply_to_message_id: messageId });
+            }
+            continue;
+          }
+
+          changes.push(await applyScoreChange({
+            chatId,
+            target: { id: authorId, name: authorName },
+            voter: { id: reactorId, name: reactorName },
+            delta: vote.delta,
+            rawDelta: vote.rawDelta,
+            weight: vote.weight,
+            source: 'reaction',
+            messageId,
+            reaction: emoji
+          }));
+          votesAccepted.inc({ source: 'reaction' });
+        }
+
+        // Send confirmation messages
+        for (const { user, entry } of changes) {
+          await announceScoreChange(chatId, t, user, entry);
+          await checkBadges(chatId, t, user, { id: reactorId, name: reactorName });
+        }
+      } catch (err) {
+        logger.error('Error handling reaction', { err });
+        await replyError(reaction.chat.id, 'reaction');
+      }
+    });
+  }
+
+  return { checkSeasons, checkDigests, checkLeaders };
+};
+
+module.exports = {
+  BASIC_COMMANDS,
+  attachHandlers
+};
@@ -0,0 +1,61 @@
+const { Chat } = require('./models/chat');
+const { getStorage } = require('./storage');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Message catalogs by language code
+const CATALOGS = {
+  en: require('./locales/en'),
+  es: require('./locales/es'),
+  ru: require('./locales/ru'),
+  pt: require('./locales/pt')
+};
+
+const LANGUAGES = Object.keys(CATALOGS);
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+
+// Fill a message's {placeholders} in the given language, falling back to
+// English for messages that haven't been translated
+const translate = (language, key, params = {}) => {
+  const template = lookup(CATALOGS[language] || {}, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  if (typeof template !== 'string') {
+    throw new Error(`Unknown message: ${key}`);
+  }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+};
+
+// The chat's language code
+const getChatLanguage = async (chatId) => {
+  const chat = await getStorage().getChat(chatId);
+  return (chat && CATALOGS[chat.language]) ? chat.language : DEFAULT_LANGUAGE;
+};
+
+// Change the chat's language. Resolves with whether the code is supported.
+const setChatLanguage = async (chatId, language) => {
+  if (!CATALOGS[language]) {
+    return false;
+  }
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { language } },
+    { upsert: true }
+  );
+  return true;
+};
+
+// A translate function bound to a language
+const translator = (language) => (key, params) => translate(language, key, params);
+
+// A translate function for the chat's language
+const getTranslator = async (chatId) => translator(await getChatLanguage(chatId));
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  translate,
+  translator,
+  getChatLanguage,
+  setChatLanguage,
+  getTranslator
+};
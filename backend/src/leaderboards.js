@@ -0,0 +1,61 @@
+const { getLeaderboard, getLeaderboardIndex } = require('./scores');
+const { DAY_MS } = require('./trends');
+const { getStorage } = require('./storage');
+
+const PAGE_SIZE = 10;
+
+// The /leaderboard variants: highest scores first, lowest first, or the net
+// change over the last week
+const LEADERBOARD_VIEWS = ['top', 'bottom', 'week'];
+
+const pageCount = total => Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+// One page of a leaderboard view. Pages count from 0 and are clamped to the
+// ones that exist. Each row has a position, the user and the value to show:
+// their score, or their change this week.
+const getLeaderboardPage = async (chatId, view, page = 0) => {
+  if (view === 'week') {
+    const changes = await getStorage().getNetChanges(chatId, { since: new Date(Date.now() - 7 * DAY_MS) });
+    const current = Math.min(Math.max(page, 0), pageCount(changes.length) - 1);
+    const rows = changes
+      .slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE)
+      .map((row, index) => ({
+        position: current * PAGE_SIZE + index + 1,
+        telegramId: row.telegramId,
+        username: row.username,
+        value: row.change
+      }));
+    return { view, page: current, pages: pageCount(changes.length), total: changes.length, rows };
+  }
+
+  const order = view === 'bottom' ? 'asc' : 'desc';
+  const total = await getStorage().countUsers(chatId);
+  const current = Math.min(Math.max(page, 0), pageCount(total) - 1);
+  const { users } = await getLeaderboard(chatId, { offset: current * PAGE_SIZE, limit: PAGE_SIZE, order });
+  const rows = users.map(user => ({
+    position: user.rank,
+    telegramId: user.telegramId,
+    username: user.username,
+    value: user.creditScore
+  }));
+  return { view, page: current, pages: pageCount(total), total, rows };
+};
+
+// The page of a view a user appears on, or null if they aren't on it
+const findUserPage = async (chatId, view, telegramId) => {
+  if (view === 'week') {
+    const changes = await getStorage().getNetChanges(chatId, { since: new Date(Date.now() - 7 * DAY_MS) });
+    const index = changes.findIndex(row => row.telegramId === telegramId.toString());
+    return index === -1 ? null : Math.floor(index / PAGE_SIZE);
+  }
+
+  const index = await getLeaderboardIndex(chatId, telegramId, { order: view === 'bottom' ? 'asc' : 'desc' });
+  return index === null ? null : Math.floor(index / PAGE_SIZE);
+};
+
+module.exports = {
+  PAGE_SIZE,
+  LEADERBOARD_VIEWS,
+  getLeaderboardPage,
+  findUserPage
+};
@@ -0,0 +1,119 @@
+const os = require('os');
+const crypto = require('crypto');
+const { Lease } = require('./models/lease');
+const { logger } = require('./logger');
+
+// Tell this process apart from other instances, including restarts of it
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// Renew a lease this instance holds, or take it if it is free or has run
+// out, until `ttl` ms from now. Resolves with whether this instance holds it.
+const acquireLease = async (name, holder, ttl) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttl);
+
+  const renewed = await Lease.updateOne({ _id: name, holder }, { $set: { expiresAt } });
+  if (renewed.matchedCount > 0) {
+    return true;
+  }
+
+  try {
+    // Matches nothing while another instance holds the lease, so the upsert
+    // then fails on the duplicate _id
+    await Lease.updateOne(
+      { _id: name, expiresAt: { $lte: now } },
+      { $set: { holder, expiresAt, acquiredAt: now } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+};
+
+// Give a lease up, if this instance still holds it
+const releaseLease = (name, holder) => Lease.deleteOne({ _id: name, holder });
+
+// Compete for a lease for as long as the process runs, checking every third
+// of its ttl. onAcquired runs when this instance takes the lease and onLost
+// when it can no longer renew it. If the database can't be reached the
+// holder carries on until just before the lease would have run out.
+const keepLease = (name, { ttl, onAcquired, onLost }) => {
+  const interval = Math.floor(ttl / 3);
+  const log = logger.child({ lease: name, holder: INSTANCE_ID });
+  let held = false;
+  let heldUntil = 0;
+  let timer = null;
+  let checking = null;
+  let stopped = false;
+
+  const notify = async (callback, message) => {
+    try {
+      await callback();
+    } catch (err) {
+      log.error(message, { err });
+    }
+  };
+
+  const check = async () => {
+    const startedAt = Date.now();
+    let holding;
+    try {
+      holding = await acquireLease(name, INSTANCE_ID, ttl);
+      if (holding) {
+        heldUntil = startedAt + ttl;
+      }
+    } catch (err) {
+      log.error('Error renewing lease', { err });
+      holding = held && Date.now() + interval < heldUntil;
+    }
+    if (stopped) {
+      return;
+    }
+
+    if (holding && !held) {
+      held = true;
+      log.info('Lease acquired');
+      await notify(onAcquired, 'Error starting as the lease holder');
+    } else if (!holding && held) {
+      held = false;
+      log.warn('Lease lost');
+      await notify(onLost, 'Error stopping after losing the lease');
+    }
+  };
+
+  const schedule = () => {
+    checking = check().finally(() => {
+      if (!stopped) {
+        timer = setTimeout(schedule, interval);
+      }
+    });
+  };
+
+  return {
+    start: schedule,
+    isHeld: () => held,
+    // Stop competing and give the lease up straight away, so another
+    // instance can take over without waiting for it to run out
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await checking;
+      if (held) {
+        held = false;
+        await releaseLease(name, INSTANCE_ID);
+        log.info('Lease released');
+      }
+    }
+  };
+};
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLease,
+  releaseLease,
+  keepLease
+};
@@ -0,0 +1,131 @@
+const { Chat } = require('./models/chat');
+const { getStorage } = require('./storage');
+const { getVoteBlock } = require('./moderation');
+const { getPositiveOnlyBlock } = require('./weighting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Limits for chats that haven't changed them. A numeric limit of 0 turns it off.
+const DEFAULT_LIMITS = {
+  dailyBudget: 30,
+  pairCooldownMinutes: 5,
+  onePerMessage: true,
+  dailyTargetCap: 100,
+  rejectionNotice: 'reply'
+};
+
+const parseCount = (value) => (/^\d+$/.test(value) ? Number(value) : undefined);
+const parseSwitch = (value) => {
+  if (value === 'on') return true;
+  if (value === 'off') return false;
+  return undefined;
+};
+
+// How each limit is named in /setlimit, and how its value is parsed
+const LIMIT_SETTINGS = {
+  budget: { field: 'dailyBudget', parse: parseCount },
+  cooldown: { field: 'pairCooldownMinutes', parse: parseCount },
+  permessage: { field: 'onePerMessage', parse: parseSwitch },
+  cap: { field: 'dailyTargetCap', parse: parseCount },
+  notify: { field: 'rejectionNotice', parse: value => (['reply', 'silent'].includes(value) ? value : undefined) }
+};
+
+// The chat's vote limits, with defaults filled in
+const getChatLimits = async (chatId) => {
+  const chat = await getStorage().getChat(chatId);
+  return { ...DEFAULT_LIMITS, ...((chat && chat.limits) || {}) };
+};
+
+// Change one limit by its /setlimit name. Resolves with the updated limits,
+// or null if the name or value is invalid.
+const setChatLimit = async (chatId, name, value) => {
+  const setting = LIMIT_SETTINGS[name];
+  const parsed = setting && setting.parse(value);
+  if (parsed === undefined) {
+    return null;
+  }
+
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { [`limits.${setting.field}`]: parsed } },
+    { upsert: true }
+  );
+  return getChatLimits(chatId);
+};
+
+// Check a vote against admin mutes and exclusions, the weighting floor and
+// the chat's limits before applying it. Resolves with null if the vote may go
+// ahead, or the reason it was rejected (a message key and its parameters) and
+// whether the chat wants to be told.
+const checkVoteLimits = async ({ chatId, voterId, targetId, messageId, delta }) => {
+  const limits = await getChatLimits(chatId);
+  const reason = await getVoteBlock(chatId, voterId, targetId)
+    || await getPositiveOnlyBlock(chatId, voterId, delta)
+    || await findLimitBreach(limits, { chatId, voterId, targetId, messageId, delta });
+  return reason ? { reason, notify: limits.rejectionNotice === 'reply' } : null;
+};
+
+// Leave out votes that were later undone, e.g. a reaction that was removed
+// or swapped for another. Each reversal cancels the earliest vote on the same
+// message with the same reaction. Entries must be oldest first.
+const standingVotes = (entries) => {
+  const standing = [];
+  entries.forEach((entry) => {
+    if (!entry.reversal) {
+      standing.push(entry);
+      return;
+    }
+    const index = standing.findIndex(vote => vote.messageId === entry.messageId
+      && vote.reaction === entry.reaction
+      && vote.targetId === entry.targetId);
+    if (index !== -1) {
+      standing.splice(index, 1);
+    }
+  });
+  return standing;
+};
+
+const findLimitBreach = async (limits, { chatId, voterId, targetId, messageId, delta }) => {
+  const storage = getStorage();
+  const since = new Date(Date.now() - DAY_MS);
+
+  if (limits.onePerMessage && messageId) {
+    const entries = await storage.findVotes(chatId, { voterId, messageId });
+    if (entries.reduce((sum, entry) => sum + entry.delta, 0) !== 0) {
+      return { key: 'votes.alreadyVoted' };
+    }
+  }
+
+  if (limits.dailyBudget) {
+    const used = standingVotes(await storage.findVotes(chatId, { voterId, since }));
+    if (used.length >= limits.dailyBudget) {
+      return { key: 'votes.budgetUsed', params: { budget: limits.dailyBudget } };
+    }
+  }
+
+  if (limits.pairCooldownMinutes) {
+    const cooldownStart = new Date(Date.now() - limits.pairCooldownMinutes * 60 * 1000);
+    const recent = standingVotes(await storage.findVotes(chatId, { voterId, targetId, since: cooldownStart }));
+    if (recent.length > 0) {
+      return { key: 'votes.cooldown', params: { minutes: limits.pairCooldownMinutes } };
+    }
+  }
+
+  if (limits.dailyTargetCap) {
+    const entries = await storage.findVotes(chatId, { voterId, targetId, since });
+    const moved = entries.reduce((sum, entry) => sum + entry.delta, 0);
+    if (Math.abs(moved + delta) > limits.dailyTargetCap) {
+      return { key: 'votes.dailyCap', params: { cap: limits.dailyTargetCap } };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_LIMITS,
+  LIMIT_SETTINGS,
+  getChatLimits,
+  setChatLimit,
+  checkVoteLimits
+};
@@ -0,0 +1,135 @@
+const { LedgerEntry } = require('./models/ledger');
+const { logger } = require('./logger');
+
+// How often chats with open streams are checked for new ledger entries.
+// Reading the ledger (rather than an in-process event) means every instance
+// sees changes made by any other, and reconnecting clients can catch up.
+const LIVE_POLL_MS = 1000;
+const LIVE_BATCH_SIZE = 500;
+// Entries get their id and createdAt before they are written, so concurrent
+// writes can land out of order. Each poll reads this far back again and
+// skips what a subscriber was already sent.
+const LIVE_OVERLAP_MS = 5000;
+
+// Subscribers per chat: each one remembers the newest createdAt it was sent
+// (in ms), and the entries it was sent within the overlap before that
+const subscribersByChat = new Map();
+let pollTimer = null;
+let polling = false;
+
+const toEvent = (entry) => ({
+  id: entry._id.toString(),
+  telegramId: entry.targetId,
+  username: entry.targetName,
+  delta: entry.delta,
+  scoreBefore: entry.scoreBefore,
+  scoreAfter: entry.scoreAfter,
+  source: entry.source,
+  voterName: entry.voterName || null,
+  createdAt: entry.createdAt
+});
+
+// A chat's ledger entries from `from` (ms) on, oldest first, read in batches
+const entriesFrom = async (chatId, from) => {
+  const entries = [];
+  let batch = [];
+  do {
+    const last = batch[batch.length - 1];
+    const after = last
+      ? { $or: [{ createdAt: { $gt: last.createdAt } }, { createdAt: last.createdAt, _id: { $gt: last._id } }] }
+      : {};
+    batch = await LedgerEntry.find({ chatId, createdAt: { $gte: new Date(from) }, ...after })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(LIVE_BATCH_SIZE)
+      .lean();
+    entries.push(...batch);
+  } while (batch.length === LIVE_BATCH_SIZE);
+  return entries;
+};
+
+const pollChat = async (chatId, subscribers) => {
+  const oldest = Math.min(...[...subscribers].map(subscriber => subscriber.since));
+  const entries = await entriesFrom(chatId, oldest - LIVE_OVERLAP_MS);
+
+  subscribers.forEach((subscriber) => {
+    entries.forEach((entry) => {
+      const id = entry._id.toString();
+      const at = entry.createdAt.getTime();
+      if (at < subscriber.since - LIVE_OVERLAP_MS || subscriber.sent.has(id)) {
+        return;
+      }
+      subscriber.sent.set(id, at);
+      subscriber.since = Math.max(subscriber.since, at);
+      subscriber.send(toEvent(entry));
+    });
+    // Forget what has fallen out of the overlap
+    subscriber.sent.forEach((at, id) => {
+      if (at < subscriber.since - LIVE_OVERLAP_MS) {
+        subscriber.sent.delete(id);
+      }
+    });
+  });
+};
+
+// Where a new stream starts: after the entry `lastEventId` names, resending
+// whatever else falls in the overlap before it in case it was missed, or from
+// now, counting what is already in the overlap as sent
+const startingPoint = async (chatId, lastEventId) => {
+  const last = lastEventId && /^[0-9a-f]{24}$/.test(lastEventId)
+    ? await LedgerEntry.findOne({ _id: lastEventId, chatId }, { createdAt: 1 }).lean()
+    : null;
+  if (last) {
+    const at = last.createdAt.getTime();
+    return { since: at, sent: new Map([[last._id.toString(), at]]) };
+  }
+
+  const now = Date.now();
+  const recent = await entriesFrom(chatId, now - LIVE_OVERLAP_MS);
+  return { since: now, sent: new Map(recent.map(entry => [entry._id.toString(), entry.createdAt.getTime()])) };
+};
+
+const pollAll = async () => {
+  if (polling) return;
+  polling = true;
+  try {
+    for (const [chatId, subscribers] of subscribersByChat) {
+      await pollChat(chatId, subscribers);
+    }
+  } catch (err) {
+    logger.error('Error polling live score events', { err });
+  } finally {
+    polling = false;
+  }
+};
+
+// Stream a chat's score changes to `send`, starting after `lastEventId` (to
+// catch up after a reconnect) or from now. A reconnecting client may be sent
+// entries from just before `lastEventId` again, with the same ids. Resolves
+// with an unsubscribe function.
+const subscribe = async (chatId, lastEventId, send) => {
+  const subscriber = { ...(await startingPoint(chatId, lastEventId)), send };
+
+  if (!subscribersByChat.has(chatId)) {
+    subscribersByChat.set(chatId, new Set());
+  }
+  subscribersByChat.get(chatId).add(subscriber);
+  if (!pollTimer) {
+    pollTimer = setInterval(pollAll, LIVE_POLL_MS);
+  }
+
+  return () => {
+    const subscribers = subscribersByChat.get(chatId);
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      subscribersByChat.delete(chatId);
+    }
+    if (subscribersByChat.size === 0) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+};
+
+module.exports = {
+  subscribe
+};
@@ -0,0 +1,340 @@
+// English messages. Every other catalog falls back to these for missing keys.
+module.exports = {
+  languageName: 'English',
+
+  commands: {
+    start: 'Start using the bot and register in the current group',
+    score: 'Check your current credit score in this group',
+    leaderboard: 'View the leaderboard (add bottom or week for other views)',
+    history: 'Show recent score changes (reply to someone to see theirs)',
+    stats: 'Show your voting stats (reply to someone to see theirs)',
+    stickers: 'List the stickers that change scores in this group',
+    reactions: 'List the reactions that change scores in this group',
+    limits: 'Show the voting limits in this group',
+    weighting: 'Show how votes are weighted in this group',
+    tiers: 'List the rank tiers in this group',
+    language: "Show or change the bot's language in this group",
+    season: 'Show the current season standings and time left',
+    halloffame: 'List the winners of past seasons',
+    digest: 'Show when the weekly digest is posted',
+    badges: "List your badges, or someone else's"
+  },
+
+  errors: {
+    generic: '🚫 Sorry, there was an error processing your request. Please try again later.',
+    score: '🚫 Sorry, there was an error fetching your score. Please try again later.',
+    leaderboard: '🚫 Sorry, there was an error fetching the leaderboard. Please try again later.',
+    history: '🚫 Sorry, there was an error fetching the history. Please try again later.',
+    stats: '🚫 Sorry, there was an error fetching the stats. Please try again later.',
+    saveSticker: '🚫 Sorry, there was an error saving the sticker. Please try again later.',
+    removeSticker: '🚫 Sorry, there was an error removing the sticker. Please try again later.',
+    stickers: '🚫 Sorry, there was an error fetching the stickers. Please try again later.',
+    saveReaction: '🚫 Sorry, there was an error saving the reaction. Please try again later.',
+    removeReaction: '🚫 Sorry, there was an error removing the reaction. Please try again later.',
+    reactions: '🚫 Sorry, there was an error fetching the reactions. Please try again later.',
+    limits: '🚫 Sorry, there was an error fetching the limits. Please try again later.',
+    saveLimit: '🚫 Sorry, there was an error saving the limit. Please try again later.',
+    weighting: '🚫 Sorry, there was an error updating vote weighting. Please try again later.',
+    saveWeighting: '🚫 Sorry, there was an error saving the weighting. Please try again later.',
+    tiers: '🚫 Sorry, there was an error fetching the tiers. Please try again later.',
+    saveTiers: '🚫 Sorry, there was an error saving the tiers. Please try again later.',
+    language: '🚫 Sorry, there was an error changing the language. Please try again later.',
+    season: '🚫 Sorry, there was an error fetching the season. Please try again later.',
+    saveSeason: '🚫 Sorry, there was an error saving the season settings. Please try again later.',
+    newSeason: '🚫 Sorry, there was an error starting a new season. Please try again later.',
+    hallOfFame: '🚫 Sorry, there was an error fetching the hall of fame. Please try again later.',
+    digest: '🚫 Sorry, there was an error with the weekly digest. Please try again later.',
+    badges: '🚫 Sorry, there was an error with badges. Please try again later.',
+    adjust: '🚫 Sorry, there was an error adjusting the score. Please try again later.',
+    setScore: '🚫 Sorry, there was an error setting the score. Please try again later.',
+    resetUser: '🚫 Sorry, there was an error resetting the score. Please try again later.',
+    resetChat: '🚫 Sorry, there was an error resetting the scores. Please try again later.',
+    export: '🚫 Sorry, there was an error exporting the scores. Please try again later.',
+    import: '🚫 Sorry, there was an error importing the file. Please try again later.',
+    muteVoter: '🚫 Sorry, there was an error muting the voter. Please try again later.',
+    exclude: '🚫 Sorry, there was an error updating the leaderboard. Please try again later.',
+    sticker: '🚫 Sorry, there was an error processing your sticker. Please try again later.',
+    reaction: '🚫 Sorry, there was an error processing your reaction. Please try again later.'
+  },
+
+  start: {
+    welcome: "👋 Welcome {name}! You've been registered in the Fuel Credit Score system. Your initial score is 0.",
+    welcomeBack: '👋 Hey fren {name}! Your current credit score is {score}.'
+  },
+
+  leaderboard: {
+    empty: '📊 No credit scores recorded yet in this group.',
+    usage: '❌ Usage: /leaderboard [bottom|week]',
+    topTitle: '🏆 <b>Fuel Credit Score Leaderboard</b> 🏆',
+    bottomTitle: '🔻 <b>Fuel Credit Score Leaderboard: bottom</b> 🔻',
+    weekTitle: '📈 <b>This week on the Fuel Credit Score Leaderboard</b> 📈',
+    weekRow: '{position} {name}: {change} in 7 days',
+    weekEmpty: '📊 No score changes in this group in the last 7 days.',
+    page: 'Page {page} of {pages}',
+    whereAmI: '📍 Where am I?',
+    notListed: "You're not on this leaderboard yet.",
+    row: '{position} {name}: {score} points'
+  },
+
+  score: {
+    notRegistered: "❌ You haven't registered yet. Use /start to register!",
+    current: '{emoji} Your current credit score is: {score} points ({tier})',
+    other: "{emoji} {name}'s credit score is: {score} points ({tier})",
+    otherNotRegistered: '❌ {name} has no score in this group yet.'
+  },
+
+  members: {
+    unknown: "❌ I don't know @{handle} in this group yet. They need to send a message here first."
+  },
+
+  history: {
+    empty: '📜 No score changes recorded for {name} yet.',
+    title: '📜 Last {count} score changes for {name}:',
+    by: ' by {name}'
+  },
+
+  stats: {
+    notFound: '❌ {name} has no score in this group yet.',
+    title: '📊 Stats for {name}',
+    received: '📥 Votes received: {total} ({positive} up, {negative} down)',
+    given: '📤 Votes given: {total} ({positive} up, {negative} down)',
+    bestFriend: '🤝 Best friend: {name} ({points})',
+    noBestFriend: '🤝 Best friend: nobody yet',
+    nemesis: '😈 Nemesis: {name} ({points})',
+    noNemesis: '😈 Nemesis: nobody yet',
+    swing: '🎢 Biggest day: {change} on {date}',
+    noSwing: '🎢 Biggest day: no score changes yet',
+    rank: '🏅 Rank {rank} of {total}, percentile {percentile}',
+    unranked: '🏅 Not on the leaderboard'
+  },
+
+  stickers: {
+    adminOnly: '❌ Only chat admins can change the vote stickers.',
+    setUsage: '❌ Reply to a sticker with /setsticker +20 or /setsticker -20 (at most {max} either way).',
+    thisSticker: 'This sticker',
+    set: '✅ {sticker} now changes scores by {value} points.',
+    ownList: 'This group now uses its own sticker list instead of the built-in stickers.',
+    unsetUsage: '❌ Reply to a sticker with /unsetsticker to stop it changing scores.',
+    unset: '✅ {sticker} no longer changes scores.',
+    notFound: "❌ That sticker isn't one of this group's vote stickers.",
+    defaults: '🏷 This group uses the built-in 👍 (+20) and 👎 (-20) stickers. Admins can reply to a sticker with /setsticker +20 to choose their own.',
+    empty: '🏷 No vote stickers are set up in this group. Admins can reply to a sticker with /setsticker +20 to add one.',
+    title: '🏷 Vote stickers in this group:',
+    fromSet: ' from {set}',
+    row: '{emoji}{set}: {value} points'
+  },
+
+  reactions: {
+    adminOnly: '❌ Only chat admins can change the vote reactions.',
+    setUsage: '❌ Usage: /setreaction 🔥 +10 (at most {max} either way).',
+    set: '✅ {emoji} reactions now change scores by {value} points.',
+    unsetUsage: '❌ Usage: /unsetreaction 🔥',
+    unset: '✅ {emoji} reactions no longer change scores.',
+    notFound: "❌ {emoji} isn't one of this group's vote reactions.",
+    empty: "😶 Reactions don't change scores in this group. Admins can use /setreaction 👍 +20 to turn them on.",
+    title: '😀 Vote reactions in this group:',
+    row: '{emoji}: {value} points'
+  },
+
+  limits: {
+    off: 'off',
+    budget: '• budget: {value}',
+    budgetValue: '{count} votes per person per day',
+    cooldown: '• cooldown: {value}',
+    cooldownValue: '{count} minutes between votes for the same person',
+    permessage: '• permessage: {value}',
+    permessageValue: 'one vote per message',
+    cap: '• cap: {value}',
+    capValue: '{count} points one voter can move one person per day',
+    notifyReply: '• notify: reply when a vote is rejected',
+    notifySilent: '• notify: reject votes silently',
+    title: '🛡 Voting limits in this group:',
+    howToChange: 'Admins can change them with /setlimit <name> <value>.',
+    adminOnly: '❌ Only chat admins can change the voting limits.',
+    usage: '❌ Usage: /setlimit <{names}> <value>. Numbers set a limit (0 turns it off), permessage takes on/off and notify takes reply/silent.',
+    updated: '✅ Voting limits updated:'
+  },
+
+  weighting: {
+    off: 'off',
+    status: 'Weighted voting is {state}.',
+    on: 'on',
+    formula: 'weight = score × tenure × activity, kept between min and max',
+    score: "• score: {value}",
+    scoreValue: "1 + voter's score / {scale}",
+    tenure: '• tenure: {value}',
+    tenureValue: 'full weight after {days} days in the group',
+    activity: '• activity: {value} (window: {hours} hours)',
+    activityValue: 'reduced after {count} votes',
+    min: '• min: {value}',
+    max: '• max: {value}',
+    floor: '• floor: voters below {value} can only give positive votes',
+    howToChange: 'Admins can use /weighting on|off and /setweight <name> <value>.',
+    adminOnly: '❌ Only chat admins can change vote weighting.',
+    toggleUsage: '❌ Usage: /weighting on|off',
+    usage: '❌ Usage: /setweight <{names}> <value>. score, tenure and activity take whole numbers (0 turns the factor off), window takes hours, min and max take decimals, and floor takes a score.',
+    minAboveMax: "❌ min can't be above max (min {min}, max {max}).",
+    updated: '✅ Vote weighting updated:',
+    applied: ' ({raw} raw × {weight} = {delta})'
+  },
+
+  tiers: {
+    title: '🎖 Rank tiers in this group:',
+    row: '{emoji} {name}: {min} points and up',
+    lowest: '{emoji} {name}: below {min} points',
+    defaults: 'This group uses the built-in tiers.',
+    howToChange: 'Admins can use /settier <min score> <emoji> <name> [| comment], /unsettier <min score> and /resettiers.',
+    adminOnly: '❌ Only chat admins can change the rank tiers.',
+    setUsage: '❌ Usage: /settier 200 🌟 Model Citizen | A shining example to us all!',
+    set: '✅ {emoji} {name} now starts at {min} points.',
+    unsetUsage: '❌ Usage: /unsettier 200',
+    unset: '✅ The tier starting at {min} points was removed.',
+    notFound: "❌ There's no tier starting at {min} points.",
+    reset: '✅ This group uses the built-in tiers again.',
+    comment: 'Tier: {name}',
+    champion: 'Champion',
+    championComment: 'Your loyalty to the group is unquestionable!',
+    gold: 'Gold',
+    goldComment: 'Your social standing is quite respectable!',
+    citizen: 'Citizen',
+    citizenComment: 'Your behavior is... acceptable.',
+    struggling: 'Struggling',
+    strugglingComment: 'Your social credit needs improvement...',
+    watched: 'Under watch',
+    watchedComment: 'Your behavior is being closely monitored!',
+    first: 'The most trusted citizen in the group!',
+    second: 'Almost worthy of the highest privileges!',
+    third: 'Still considered a model citizen!'
+  },
+
+  language: {
+    current: '🌐 This group uses {language}. Available: {languages}.',
+    howToChange: 'Admins can change it with /language <code>, e.g. /language es.',
+    adminOnly: "❌ Only chat admins can change the bot's language.",
+    usage: '❌ Usage: /language <{codes}>',
+    set: '✅ I will speak English in this group from now on.'
+  },
+
+  season: {
+    over: '🏁 <b>Season {number} is over!</b>',
+    nobodyScored: 'Nobody scored any points this season.',
+    podiumRow: '{medal} {name}: {score} points',
+    carriedOver: "Season {number} starts now with {carryOver}% of everyone's score carried over.",
+    resetToZero: 'Season {number} starts now and everyone is back to 0.',
+    title: '📅 <b>Season {number}</b>',
+    endsIn: 'Ends in {duration} ({length})',
+    manual: 'Ends when an admin runs /newseason',
+    empty: 'No credit scores recorded yet this season.',
+    adminOnly: '❌ Only chat admins can change the season settings.',
+    setUsage: '❌ Usage: /setseason <{lengths}> [carry-over %], e.g. /setseason weekly 10',
+    configured: '✅ Seasons are now {length}, carrying over {carryOver}% of each score.',
+    currentEndsIn: 'Season {number} ends in {duration}.',
+    newAdminOnly: '❌ Only chat admins can start a new season.',
+    alreadyEnded: '❌ The season has already ended. Check /season for the new one.',
+    hallEmpty: '🏛 No seasons have finished in this group yet.',
+    hallTitle: '🏛 <b>Hall of Fame</b> 🏛',
+    hallWinner: 'Season {number} ({ended}): 🥇 {name} with {score} points',
+    hallNoWinner: 'Season {number} ({ended}): no winner'
+  },
+
+  digest: {
+    title: '📰 <b>Weekly digest</b> 📰',
+    votes: '🗳 {count} votes cast this week',
+    gainers: '📈 <b>Biggest risers</b>',
+    losers: '📉 <b>Biggest fallers</b>',
+    moverRow: '{name}: {change}',
+    generous: '🎁 Most generous voter: {name}, who gave {points} points',
+    downvoted: '👎 Most downvoted: {message} by {name}, with {count} downvotes',
+    message: 'this message',
+    top: '🏆 <b>Top 5</b>',
+    schedule: '📰 The weekly digest is posted every {day} at {time} ({timezone}). The next one is on {next}.',
+    scheduled: '✅ The weekly digest will be posted every {day} at {time} ({timezone}), starting on {next}.',
+    off: '📰 There is no weekly digest in this group. Admins can schedule one with /digest weekly sun 18:00 Europe/London',
+    disabled: '✅ The weekly digest is turned off.',
+    adminOnly: '❌ Only chat admins can schedule the weekly digest.',
+    usage: '❌ Usage: /digest weekly <day> <HH:MM> [timezone], e.g. /digest weekly sun 18:00 Europe/London, or /digest off',
+    badTimezone: '❌ Unknown timezone: {timezone}. Use a name like Europe/London or America/New_York.',
+    days: {
+      sun: 'Sunday',
+      mon: 'Monday',
+      tue: 'Tuesday',
+      wed: 'Wednesday',
+      thu: 'Thursday',
+      fri: 'Friday',
+      sat: 'Saturday'
+    }
+  },
+
+  badges: {
+    names: {
+      century: 'Centurion',
+      popular: 'Crowd Favourite',
+      streak: 'Regular',
+      comeback: 'Comeback Kid',
+      reign: 'Reigning Champion'
+    },
+    descriptions: {
+      century: 'Reached {score} points',
+      popular: 'Received {upvotes} upvotes',
+      streak: 'Voted every day for {days} days',
+      comeback: 'Climbed from a negative score to the top {rank}',
+      reign: 'Held #1 for {days} days'
+    },
+    earned: '🏅 {name} earned the {badge} badge: {description}!',
+    title: "🏅 {name}'s badges",
+    none: 'No badges yet.',
+    row: '{badge} - {description} ({date})',
+    unearned: 'Still to earn:',
+    unearnedRow: '{badge} - {description}',
+    adminOnly: '❌ Only chat admins can turn badges on or off.',
+    usage: '❌ Usage: /badges [@user], or /badges <on|off> <{badges}> to turn a badge on or off',
+    enabled: '✅ The {badge} badge is turned on.',
+    disabled: '✅ The {badge} badge is turned off. Nobody can earn it, and it is hidden until it is turned back on.'
+  },
+
+  transfer: {
+    exported: '📦 {users} users and {entries} ledger entries. Reply to either file with /import to load it into a group.',
+    usage: '❌ Reply to a CSV or JSON file with /import [reason] to preview it, then send /import confirm to apply it.',
+    tooLarge: '❌ That file is too big to import (the limit is {size} MB).',
+    invalid: "❌ I couldn't read that file. Send a file from /export, or a CSV with id and score columns.",
+    preview: '🔍 Import preview for {file}:\n• {added} new users\n• {changed} scores changed\n• {unchanged} already up to date\n• {ledger} ledger entries to add\n• {skipped} rows skipped\n\nSend /import confirm within {minutes} minutes to apply it.',
+    nothingToConfirm: '❌ Nothing to confirm. Reply to a file with /import first.',
+    reason: 'Imported from {file}',
+    imported: 'imported {file}: {added} new users, {changed} scores changed and {ledger} ledger entries added.'
+  },
+
+  admin: {
+    only: '❌ Only chat admins can use this command.',
+    replyTo: "❌ Reply to someone's message: {usage}",
+    usage: '❌ Usage: {usage}',
+    announce: '🛡 {admin} {action}',
+    reason: 'Reason: {reason}',
+    adjusted: "adjusted {name}'s score by {value} ({before} → {after}).",
+    alreadyScore: "ℹ️ {name}'s score is already {score}.",
+    setScore: "set {name}'s score to {score} (was {before}).",
+    resetUser: "reset {name}'s score to 0 (was {before}).",
+    resetChatWarning: '⚠️ This will reset every score in this group to 0. Send /resetchat confirm within {seconds} seconds to go ahead.',
+    nothingToConfirm: '❌ Nothing to confirm. Send /resetchat [reason] first.',
+    resetChat: 'reset every score in this group to 0 ({count} users changed).',
+    unmuted: 'allowed {name} to vote again.',
+    muted: 'muted {name} from voting for {duration}.',
+    excluded: 'removed {name} from the leaderboard.',
+    included: 'added {name} back to the leaderboard.'
+  },
+
+  votes: {
+    replyToVote: "❌ Please reply to someone's message with the sticker to change their score!",
+    selfVote: "❌ You can't change your own score!",
+    botTarget: "❌ Bots can't receive credit scores!",
+    rejected: '⏳ {reason}',
+    rejectedReaction: '⏳ {name}: {reason}',
+    changed: "{emoji} {name}'s credit score changed from {before} to {after}{weight}",
+    muted: 'You are muted from voting until {until} UTC.',
+    excluded: 'That person is excluded from the leaderboard.',
+    positiveOnly: 'Your score is below {floor}, so you can only give positive votes.',
+    alreadyVoted: 'You already voted on that message.',
+    budgetUsed: "You've used all {budget} of your votes for today.",
+    cooldown: 'You can only vote for the same person once every {minutes} minutes.',
+    dailyCap: "You can't move one person's score by more than {cap} points a day."
+  }
+};
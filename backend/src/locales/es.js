@@ -0,0 +1,340 @@
+// Spanish messages
+module.exports = {
+  languageName: 'Español',
+
+  commands: {
+    start: 'Empieza a usar el bot y regístrate en este grupo',
+    score: 'Consulta tu puntuación de crédito en este grupo',
+    leaderboard: 'Muestra la clasificación (añade bottom o week para otras vistas)',
+    history: 'Muestra los últimos cambios de puntuación (responde a alguien para ver los suyos)',
+    stats: 'Muestra tus estadísticas de votos (responde a alguien para ver las suyas)',
+    stickers: 'Lista los stickers que cambian puntuaciones en este grupo',
+    reactions: 'Lista las reacciones que cambian puntuaciones en este grupo',
+    limits: 'Muestra los límites de votación de este grupo',
+    weighting: 'Muestra cómo se ponderan los votos en este grupo',
+    tiers: 'Lista los rangos de este grupo',
+    language: 'Muestra o cambia el idioma del bot en este grupo',
+    season: 'Muestra la clasificación de la temporada y el tiempo restante',
+    halloffame: 'Lista los ganadores de temporadas anteriores',
+    digest: 'Muestra cuándo se publica el resumen semanal',
+    badges: 'Lista tus insignias o las de otra persona'
+  },
+
+  errors: {
+    generic: '🚫 Lo siento, hubo un error al procesar tu solicitud. Inténtalo de nuevo más tarde.',
+    score: '🚫 Lo siento, hubo un error al obtener tu puntuación. Inténtalo de nuevo más tarde.',
+    leaderboard: '🚫 Lo siento, hubo un error al obtener la clasificación. Inténtalo de nuevo más tarde.',
+    history: '🚫 Lo siento, hubo un error al obtener el historial. Inténtalo de nuevo más tarde.',
+    stats: '🚫 Lo siento, hubo un error al obtener las estadísticas. Inténtalo de nuevo más tarde.',
+    saveSticker: '🚫 Lo siento, hubo un error al guardar el sticker. Inténtalo de nuevo más tarde.',
+    removeSticker: '🚫 Lo siento, hubo un error al quitar el sticker. Inténtalo de nuevo más tarde.',
+    stickers: '🚫 Lo siento, hubo un error al obtener los stickers. Inténtalo de nuevo más tarde.',
+    saveReaction: '🚫 Lo siento, hubo un error al guardar la reacción. Inténtalo de nuevo más tarde.',
+    removeReaction: '🚫 Lo siento, hubo un error al quitar la reacción. Inténtalo de nuevo más tarde.',
+    reactions: '🚫 Lo siento, hubo un error al obtener las reacciones. Inténtalo de nuevo más tarde.',
+    limits: '🚫 Lo siento, hubo un error al obtener los límites. Inténtalo de nuevo más tarde.',
+    saveLimit: '🚫 Lo siento, hubo un error al guardar el límite. Inténtalo de nuevo más tarde.',
+    weighting: '🚫 Lo siento, hubo un error al actualizar la ponderación. Inténtalo de nuevo más tarde.',
+    saveWeighting: '🚫 Lo siento, hubo un error al guardar la ponderación. Inténtalo de nuevo más tarde.',
+    tiers: '🚫 Lo siento, hubo un error al obtener los rangos. Inténtalo de nuevo más tarde.',
+    saveTiers: '🚫 Lo siento, hubo un error al guardar los rangos. Inténtalo de nuevo más tarde.',
+    language: '🚫 Lo siento, hubo un error al cambiar el idioma. Inténtalo de nuevo más tarde.',
+    season: '🚫 Lo siento, hubo un error al obtener la temporada. Inténtalo de nuevo más tarde.',
+    saveSeason: '🚫 Lo siento, hubo un error al guardar la configuración de temporadas. Inténtalo de nuevo más tarde.',
+    newSeason: '🚫 Lo siento, hubo un error al empezar una nueva temporada. Inténtalo de nuevo más tarde.',
+    hallOfFame: '🚫 Lo siento, hubo un error al obtener el salón de la fama. Inténtalo de nuevo más tarde.',
+    digest: '🚫 Lo siento, hubo un error con el resumen semanal. Inténtalo de nuevo más tarde.',
+    badges: '🚫 Lo siento, hubo un error con las insignias. Inténtalo de nuevo más tarde.',
+    adjust: '🚫 Lo siento, hubo un error al ajustar la puntuación. Inténtalo de nuevo más tarde.',
+    setScore: '🚫 Lo siento, hubo un error al fijar la puntuación. Inténtalo de nuevo más tarde.',
+    resetUser: '🚫 Lo siento, hubo un error al reiniciar la puntuación. Inténtalo de nuevo más tarde.',
+    resetChat: '🚫 Lo siento, hubo un error al reiniciar las puntuaciones. Inténtalo de nuevo más tarde.',
+    export: '🚫 Lo siento, hubo un error al exportar las puntuaciones. Inténtalo de nuevo más tarde.',
+    import: '🚫 Lo siento, hubo un error al importar el archivo. Inténtalo de nuevo más tarde.',
+    muteVoter: '🚫 Lo siento, hubo un error al silenciar al votante. Inténtalo de nuevo más tarde.',
+    exclude: '🚫 Lo siento, hubo un error al actualizar la clasificación. Inténtalo de nuevo más tarde.',
+    sticker: '🚫 Lo siento, hubo un error al procesar tu sticker. Inténtalo de nuevo más tarde.',
+    reaction: '🚫 Lo siento, hubo un error al procesar tu reacción. Inténtalo de nuevo más tarde.'
+  },
+
+  start: {
+    welcome: '👋 ¡Bienvenido, {name}! Te has registrado en el sistema Fuel Credit Score. Tu puntuación inicial es 0.',
+    welcomeBack: '👋 ¡Hola, {name}! Tu puntuación de crédito actual es {score}.'
+  },
+
+  leaderboard: {
+    empty: '📊 Todavía no hay puntuaciones en este grupo.',
+    usage: '❌ Uso: /leaderboard [bottom|week]',
+    topTitle: '🏆 <b>Clasificación de Fuel Credit Score</b> 🏆',
+    bottomTitle: '🔻 <b>Clasificación de Fuel Credit Score: los últimos</b> 🔻',
+    weekTitle: '📈 <b>Esta semana en la clasificación de Fuel Credit Score</b> 📈',
+    weekRow: '{position} {name}: {change} en 7 días',
+    weekEmpty: '📊 No hubo cambios de puntuación en este grupo en los últimos 7 días.',
+    page: 'Página {page} de {pages}',
+    whereAmI: '📍 ¿Dónde estoy?',
+    notListed: 'Todavía no apareces en esta clasificación.',
+    row: '{position} {name}: {score} puntos'
+  },
+
+  score: {
+    notRegistered: '❌ Todavía no te has registrado. ¡Usa /start para registrarte!',
+    current: '{emoji} Tu puntuación de crédito actual es: {score} puntos ({tier})',
+    other: '{emoji} La puntuación de crédito de {name} es: {score} puntos ({tier})',
+    otherNotRegistered: '❌ {name} todavía no tiene puntuación en este grupo.'
+  },
+
+  members: {
+    unknown: '❌ Todavía no conozco a @{handle} en este grupo. Tiene que enviar un mensaje aquí primero.'
+  },
+
+  history: {
+    empty: '📜 Todavía no hay cambios de puntuación para {name}.',
+    title: '📜 Últimos {count} cambios de puntuación de {name}:',
+    by: ' por {name}'
+  },
+
+  stats: {
+    notFound: '❌ {name} todavía no tiene puntuación en este grupo.',
+    title: '📊 Estadísticas de {name}',
+    received: '📥 Votos recibidos: {total} ({positive} a favor, {negative} en contra)',
+    given: '📤 Votos dados: {total} ({positive} a favor, {negative} en contra)',
+    bestFriend: '🤝 Mejor amigo: {name} ({points})',
+    noBestFriend: '🤝 Mejor amigo: nadie todavía',
+    nemesis: '😈 Némesis: {name} ({points})',
+    noNemesis: '😈 Némesis: nadie todavía',
+    swing: '🎢 Mayor cambio en un día: {change} el {date}',
+    noSwing: '🎢 Mayor cambio en un día: todavía no hay cambios',
+    rank: '🏅 Puesto {rank} de {total}, percentil {percentile}',
+    unranked: '🏅 Fuera de la clasificación'
+  },
+
+  stickers: {
+    adminOnly: '❌ Solo los administradores pueden cambiar los stickers de voto.',
+    setUsage: '❌ Responde a un sticker con /setsticker +20 o /setsticker -20 (como máximo {max} en cualquier sentido).',
+    thisSticker: 'Este sticker',
+    set: '✅ {sticker} ahora cambia las puntuaciones en {value} puntos.',
+    ownList: 'Este grupo ahora usa su propia lista de stickers en lugar de los predeterminados.',
+    unsetUsage: '❌ Responde a un sticker con /unsetsticker para que deje de cambiar puntuaciones.',
+    unset: '✅ {sticker} ya no cambia las puntuaciones.',
+    notFound: '❌ Ese sticker no es uno de los stickers de voto de este grupo.',
+    defaults: '🏷 Este grupo usa los stickers predeterminados 👍 (+20) y 👎 (-20). Los administradores pueden responder a un sticker con /setsticker +20 para elegir los suyos.',
+    empty: '🏷 No hay stickers de voto en este grupo. Los administradores pueden responder a un sticker con /setsticker +20 para añadir uno.',
+    title: '🏷 Stickers de voto en este grupo:',
+    fromSet: ' de {set}',
+    row: '{emoji}{set}: {value} puntos'
+  },
+
+  reactions: {
+    adminOnly: '❌ Solo los administradores pueden cambiar las reacciones de voto.',
+    setUsage: '❌ Uso: /setreaction 🔥 +10 (como máximo {max} en cualquier sentido).',
+    set: '✅ Las reacciones {emoji} ahora cambian las puntuaciones en {value} puntos.',
+    unsetUsage: '❌ Uso: /unsetreaction 🔥',
+    unset: '✅ Las reacciones {emoji} ya no cambian las puntuaciones.',
+    notFound: '❌ {emoji} no es una de las reacciones de voto de este grupo.',
+    empty: '😶 Las reacciones no cambian las puntuaciones en este grupo. Los administradores pueden usar /setreaction 👍 +20 para activarlas.',
+    title: '😀 Reacciones de voto en este grupo:',
+    row: '{emoji}: {value} puntos'
+  },
+
+  limits: {
+    off: 'desactivado',
+    budget: '• budget: {value}',
+    budgetValue: '{count} votos por persona al día',
+    cooldown: '• cooldown: {value}',
+    cooldownValue: '{count} minutos entre votos a la misma persona',
+    permessage: '• permessage: {value}',
+    permessageValue: 'un voto por mensaje',
+    cap: '• cap: {value}',
+    capValue: '{count} puntos que un votante puede mover a una persona al día',
+    notifyReply: '• notify: responder cuando se rechaza un voto',
+    notifySilent: '• notify: rechazar votos en silencio',
+    title: '🛡 Límites de votación en este grupo:',
+    howToChange: 'Los administradores pueden cambiarlos con /setlimit <nombre> <valor>.',
+    adminOnly: '❌ Solo los administradores pueden cambiar los límites de votación.',
+    usage: '❌ Uso: /setlimit <{names}> <valor>. Los números fijan un límite (0 lo desactiva), permessage acepta on/off y notify acepta reply/silent.',
+    updated: '✅ Límites de votación actualizados:'
+  },
+
+  weighting: {
+    off: 'desactivado',
+    status: 'La votación ponderada está {state}.',
+    on: 'activada',
+    formula: 'peso = puntuación × antigüedad × actividad, entre min y max',
+    score: '• score: {value}',
+    scoreValue: '1 + puntuación del votante / {scale}',
+    tenure: '• tenure: {value}',
+    tenureValue: 'peso completo tras {days} días en el grupo',
+    activity: '• activity: {value} (ventana: {hours} horas)',
+    activityValue: 'se reduce tras {count} votos',
+    min: '• min: {value}',
+    max: '• max: {value}',
+    floor: '• floor: los votantes por debajo de {value} solo pueden dar votos positivos',
+    howToChange: 'Los administradores pueden usar /weighting on|off y /setweight <nombre> <valor>.',
+    adminOnly: '❌ Solo los administradores pueden cambiar la ponderación de votos.',
+    toggleUsage: '❌ Uso: /weighting on|off',
+    usage: '❌ Uso: /setweight <{names}> <valor>. score, tenure y activity aceptan números enteros (0 desactiva el factor), window acepta horas, min y max aceptan decimales y floor acepta una puntuación.',
+    minAboveMax: '❌ min no puede ser mayor que max (min {min}, max {max}).',
+    updated: '✅ Ponderación de votos actualizada:',
+    applied: ' ({raw} sin ponderar × {weight} = {delta})'
+  },
+
+  tiers: {
+    title: '🎖 Rangos en este grupo:',
+    row: '{emoji} {name}: desde {min} puntos',
+    lowest: '{emoji} {name}: por debajo de {min} puntos',
+    defaults: 'Este grupo usa los rangos predeterminados.',
+    howToChange: 'Los administradores pueden usar /settier <puntuación mínima> <emoji> <nombre> [| comentario], /unsettier <puntuación mínima> y /resettiers.',
+    adminOnly: '❌ Solo los administradores pueden cambiar los rangos.',
+    setUsage: '❌ Uso: /settier 200 🌟 Ciudadano Modelo | ¡Un ejemplo para todos!',
+    set: '✅ {emoji} {name} ahora empieza en {min} puntos.',
+    unsetUsage: '❌ Uso: /unsettier 200',
+    unset: '✅ Se quitó el rango que empezaba en {min} puntos.',
+    notFound: '❌ No hay ningún rango que empiece en {min} puntos.',
+    reset: '✅ Este grupo vuelve a usar los rangos predeterminados.',
+    comment: 'Rango: {name}',
+    champion: 'Campeón',
+    championComment: '¡Tu lealtad al grupo es incuestionable!',
+    gold: 'Oro',
+    goldComment: '¡Tu posición social es bastante respetable!',
+    citizen: 'Ciudadano',
+    citizenComment: 'Tu comportamiento es... aceptable.',
+    struggling: 'En apuros',
+    strugglingComment: 'Tu crédito social necesita mejorar...',
+    watched: 'Bajo vigilancia',
+    watchedComment: '¡Tu comportamiento está siendo vigilado de cerca!',
+    first: '¡El ciudadano más confiable del grupo!',
+    second: '¡Casi digno de los más altos privilegios!',
+    third: '¡Sigue siendo un ciudadano modelo!'
+  },
+
+  language: {
+    current: '🌐 Este grupo usa {language}. Disponibles: {languages}.',
+    howToChange: 'Los administradores pueden cambiarlo con /language <código>, por ejemplo /language en.',
+    adminOnly: '❌ Solo los administradores pueden cambiar el idioma del bot.',
+    usage: '❌ Uso: /language <{codes}>',
+    set: '✅ A partir de ahora hablaré español en este grupo.'
+  },
+
+  season: {
+    over: '🏁 <b>¡La temporada {number} ha terminado!</b>',
+    nobodyScored: 'Nadie consiguió puntos esta temporada.',
+    podiumRow: '{medal} {name}: {score} puntos',
+    carriedOver: 'La temporada {number} empieza ahora y se conserva el {carryOver}% de cada puntuación.',
+    resetToZero: 'La temporada {number} empieza ahora y todos vuelven a 0.',
+    title: '📅 <b>Temporada {number}</b>',
+    endsIn: 'Termina en {duration} ({length})',
+    manual: 'Termina cuando un administrador use /newseason',
+    empty: 'Todavía no hay puntuaciones esta temporada.',
+    adminOnly: '❌ Solo los administradores pueden cambiar la configuración de temporadas.',
+    setUsage: '❌ Uso: /setseason <{lengths}> [% que se conserva], por ejemplo /setseason weekly 10',
+    configured: '✅ Las temporadas ahora son {length} y se conserva el {carryOver}% de cada puntuación.',
+    currentEndsIn: 'La temporada {number} termina en {duration}.',
+    newAdminOnly: '❌ Solo los administradores pueden empezar una nueva temporada.',
+    alreadyEnded: '❌ La temporada ya ha terminado. Consulta /season para ver la nueva.',
+    hallEmpty: '🏛 Todavía no ha terminado ninguna temporada en este grupo.',
+    hallTitle: '🏛 <b>Salón de la Fama</b> 🏛',
+    hallWinner: 'Temporada {number} ({ended}): 🥇 {name} con {score} puntos',
+    hallNoWinner: 'Temporada {number} ({ended}): sin ganador'
+  },
+
+  digest: {
+    title: '📰 <b>Resumen semanal</b> 📰',
+    votes: '🗳 {count} votos emitidos esta semana',
+    gainers: '📈 <b>Los que más suben</b>',
+    losers: '📉 <b>Los que más bajan</b>',
+    moverRow: '{name}: {change}',
+    generous: '🎁 Votante más generoso: {name}, que dio {points} puntos',
+    downvoted: '👎 Lo más votado en contra: {message} de {name}, con {count} votos negativos',
+    message: 'este mensaje',
+    top: '🏆 <b>Top 5</b>',
+    schedule: '📰 El resumen semanal se publica cada {day} a las {time} ({timezone}). El próximo es el {next}.',
+    scheduled: '✅ El resumen semanal se publicará cada {day} a las {time} ({timezone}), a partir del {next}.',
+    off: '📰 Este grupo no tiene resumen semanal. Los administradores pueden programarlo con /digest weekly sun 18:00 Europe/Madrid',
+    disabled: '✅ El resumen semanal está desactivado.',
+    adminOnly: '❌ Solo los administradores del chat pueden programar el resumen semanal.',
+    usage: '❌ Uso: /digest weekly <día> <HH:MM> [zona horaria], p. ej. /digest weekly sun 18:00 Europe/Madrid, o /digest off',
+    badTimezone: '❌ Zona horaria desconocida: {timezone}. Usa un nombre como Europe/Madrid o America/Mexico_City.',
+    days: {
+      sun: 'domingo',
+      mon: 'lunes',
+      tue: 'martes',
+      wed: 'miércoles',
+      thu: 'jueves',
+      fri: 'viernes',
+      sat: 'sábado'
+    }
+  },
+
+  badges: {
+    names: {
+      century: 'Centurión',
+      popular: 'Favorito del público',
+      streak: 'Habitual',
+      comeback: 'Gran remontada',
+      reign: 'Campeón reinante'
+    },
+    descriptions: {
+      century: 'Llegó a {score} puntos',
+      popular: 'Recibió {upvotes} votos positivos',
+      streak: 'Votó todos los días durante {days} días',
+      comeback: 'Subió de una puntuación negativa al top {rank}',
+      reign: 'Se mantuvo en el #1 durante {days} días'
+    },
+    earned: '🏅 ¡{name} ha conseguido la insignia {badge}: {description}!',
+    title: '🏅 Insignias de {name}',
+    none: 'Todavía no tiene insignias.',
+    row: '{badge} - {description} ({date})',
+    unearned: 'Por conseguir:',
+    unearnedRow: '{badge} - {description}',
+    adminOnly: '❌ Solo los administradores del chat pueden activar o desactivar insignias.',
+    usage: '❌ Uso: /badges [@usuario], o /badges <on|off> <{badges}> para activar o desactivar una insignia',
+    enabled: '✅ La insignia {badge} está activada.',
+    disabled: '✅ La insignia {badge} está desactivada. Nadie puede conseguirla y permanece oculta hasta que se vuelva a activar.'
+  },
+
+  transfer: {
+    exported: '📦 {users} usuarios y {entries} entradas del registro. Responde a cualquiera de los archivos con /import para cargarlo en un grupo.',
+    usage: '❌ Responde a un archivo CSV o JSON con /import [motivo] para ver una vista previa y luego envía /import confirm para aplicarlo.',
+    tooLarge: '❌ Ese archivo es demasiado grande para importarlo (el límite es {size} MB).',
+    invalid: '❌ No pude leer ese archivo. Envía un archivo de /export o un CSV con columnas id y score.',
+    preview: '🔍 Vista previa de la importación de {file}:\n• {added} usuarios nuevos\n• {changed} puntuaciones cambiadas\n• {unchanged} ya al día\n• {ledger} entradas del registro por añadir\n• {skipped} filas omitidas\n\nEnvía /import confirm en los próximos {minutes} minutos para aplicarla.',
+    nothingToConfirm: '❌ No hay nada que confirmar. Primero responde a un archivo con /import.',
+    reason: 'Importado de {file}',
+    imported: 'importó {file}: {added} usuarios nuevos, {changed} puntuaciones cambiadas y {ledger} entradas del registro añadidas.'
+  },
+
+  admin: {
+    only: '❌ Solo los administradores pueden usar este comando.',
+    replyTo: '❌ Responde al mensaje de alguien: {usage}',
+    usage: '❌ Uso: {usage}',
+    announce: '🛡 {admin} {action}',
+    reason: 'Motivo: {reason}',
+    adjusted: 'ajustó la puntuación de {name} en {value} ({before} → {after}).',
+    alreadyScore: 'ℹ️ La puntuación de {name} ya es {score}.',
+    setScore: 'fijó la puntuación de {name} en {score} (antes {before}).',
+    resetUser: 'reinició la puntuación de {name} a 0 (antes {before}).',
+    resetChatWarning: '⚠️ Esto reiniciará todas las puntuaciones de este grupo a 0. Envía /resetchat confirm en los próximos {seconds} segundos para continuar.',
+    nothingToConfirm: '❌ No hay nada que confirmar. Envía primero /resetchat [motivo].',
+    resetChat: 'reinició todas las puntuaciones de este grupo a 0 ({count} usuarios cambiados).',
+    unmuted: 'permitió que {name} vuelva a votar.',
+    muted: 'impidió que {name} vote durante {duration}.',
+    excluded: 'quitó a {name} de la clasificación.',
+    included: 'volvió a añadir a {name} a la clasificación.'
+  },
+
+  votes: {
+    replyToVote: '❌ ¡Responde al mensaje de alguien con el sticker para cambiar su puntuación!',
+    selfVote: '❌ ¡No puedes cambiar tu propia puntuación!',
+    botTarget: '❌ ¡Los bots no pueden recibir puntuaciones de crédito!',
+    rejected: '⏳ {reason}',
+    rejectedReaction: '⏳ {name}: {reason}',
+    changed: '{emoji} La puntuación de crédito de {name} cambió de {before} a {after}{weight}',
+    muted: 'No puedes votar hasta el {until} UTC.',
+    excluded: 'Esa persona está excluida de la clasificación.',
+    positiveOnly: 'Tu puntuación está por debajo de {floor}, así que solo puedes dar votos positivos.',
+    alreadyVoted: 'Ya votaste en ese mensaje.',
+    budgetUsed: 'Ya has usado tus {budget} votos de hoy.',
+    cooldown: 'Solo puedes votar a la misma persona una vez cada {minutes} minutos.',
+    dailyCap: 'No puedes mover la puntuación de una persona más de {cap} puntos al día.'
+  }
+};
@@ -0,0 +1,340 @@
+// Portuguese messages
+module.exports = {
+  languageName: 'Português',
+
+  commands: {
+    start: 'Comece a usar o bot e registre-se neste grupo',
+    score: 'Veja sua pontuação de crédito neste grupo',
+    leaderboard: 'Veja a classificação (adicione bottom ou week para outras visões)',
+    history: 'Mostra as últimas mudanças de pontuação (responda a alguém para ver as dele)',
+    stats: 'Mostra suas estatísticas de votos (responda a alguém para ver as dele)',
+    stickers: 'Lista as figurinhas que mudam pontuações neste grupo',
+    reactions: 'Lista as reações que mudam pontuações neste grupo',
+    limits: 'Mostra os limites de votação deste grupo',
+    weighting: 'Mostra como os votos são ponderados neste grupo',
+    tiers: 'Lista os níveis deste grupo',
+    language: 'Mostra ou muda o idioma do bot neste grupo',
+    season: 'Mostra a classificação da temporada e o tempo restante',
+    halloffame: 'Lista os vencedores das temporadas anteriores',
+    digest: 'Mostra quando o resumo semanal é publicado',
+    badges: 'Lista suas insígnias ou as de outra pessoa'
+  },
+
+  errors: {
+    generic: '🚫 Desculpe, houve um erro ao processar seu pedido. Tente novamente mais tarde.',
+    score: '🚫 Desculpe, houve um erro ao buscar sua pontuação. Tente novamente mais tarde.',
+    leaderboard: '🚫 Desculpe, houve um erro ao buscar a classificação. Tente novamente mais tarde.',
+    history: '🚫 Desculpe, houve um erro ao buscar o histórico. Tente novamente mais tarde.',
+    stats: '🚫 Desculpe, houve um erro ao buscar as estatísticas. Tente novamente mais tarde.',
+    saveSticker: '🚫 Desculpe, houve um erro ao salvar a figurinha. Tente novamente mais tarde.',
+    removeSticker: '🚫 Desculpe, houve um erro ao remover a figurinha. Tente novamente mais tarde.',
+    stickers: '🚫 Desculpe, houve um erro ao buscar as figurinhas. Tente novamente mais tarde.',
+    saveReaction: '🚫 Desculpe, houve um erro ao salvar a reação. Tente novamente mais tarde.',
+    removeReaction: '🚫 Desculpe, houve um erro ao remover a reação. Tente novamente mais tarde.',
+    reactions: '🚫 Desculpe, houve um erro ao buscar as reações. Tente novamente mais tarde.',
+    limits: '🚫 Desculpe, houve um erro ao buscar os limites. Tente novamente mais tarde.',
+    saveLimit: '🚫 Desculpe, houve um erro ao salvar o limite. Tente novamente mais tarde.',
+    weighting: '🚫 Desculpe, houve um erro ao atualizar a ponderação. Tente novamente mais tarde.',
+    saveWeighting: '🚫 Desculpe, houve um erro ao salvar a ponderação. Tente novamente mais tarde.',
+    tiers: '🚫 Desculpe, houve um erro ao buscar os níveis. Tente novamente mais tarde.',
+    saveTiers: '🚫 Desculpe, houve um erro ao salvar os níveis. Tente novamente mais tarde.',
+    language: '🚫 Desculpe, houve um erro ao mudar o idioma. Tente novamente mais tarde.',
+    season: '🚫 Desculpe, houve um erro ao buscar a temporada. Tente novamente mais tarde.',
+    saveSeason: '🚫 Desculpe, houve um erro ao salvar as configurações de temporada. Tente novamente mais tarde.',
+    newSeason: '🚫 Desculpe, houve um erro ao iniciar uma nova temporada. Tente novamente mais tarde.',
+    hallOfFame: '🚫 Desculpe, houve um erro ao buscar o hall da fama. Tente novamente mais tarde.',
+    digest: '🚫 Desculpe, houve um erro com o resumo semanal. Tente novamente mais tarde.',
+    badges: '🚫 Desculpe, houve um erro com as insígnias. Tente novamente mais tarde.',
+    adjust: '🚫 Desculpe, houve um erro ao ajustar a pontuação. Tente novamente mais tarde.',
+    setScore: '🚫 Desculpe, houve um erro ao definir a pontuação. Tente novamente mais tarde.',
+    resetUser: '🚫 Desculpe, houve um erro ao zerar a pontuação. Tente novamente mais tarde.',
+    resetChat: '🚫 Desculpe, houve um erro ao zerar as pontuações. Tente novamente mais tarde.',
+    export: '🚫 Desculpe, houve um erro ao exportar as pontuações. Tente novamente mais tarde.',
+    import: '🚫 Desculpe, houve um erro ao importar o arquivo. Tente novamente mais tarde.',
+    muteVoter: '🚫 Desculpe, houve um erro ao bloquear o votante. Tente novamente mais tarde.',
+    exclude: '🚫 Desculpe, houve um erro ao atualizar a classificação. Tente novamente mais tarde.',
+    sticker: '🚫 Desculpe, houve um erro ao processar sua figurinha. Tente novamente mais tarde.',
+    reaction: '🚫 Desculpe, houve um erro ao processar sua reação. Tente novamente mais tarde.'
+  },
+
+  start: {
+    welcome: '👋 Bem-vindo, {name}! Você foi registrado no sistema Fuel Credit Score. Sua pontuação inicial é 0.',
+    welcomeBack: '👋 E aí, {name}! Sua pontuação de crédito atual é {score}.'
+  },
+
+  leaderboard: {
+    empty: '📊 Ainda não há pontuações neste grupo.',
+    usage: '❌ Uso: /leaderboard [bottom|week]',
+    topTitle: '🏆 <b>Classificação do Fuel Credit Score</b> 🏆',
+    bottomTitle: '🔻 <b>Classificação do Fuel Credit Score: os últimos</b> 🔻',
+    weekTitle: '📈 <b>Esta semana na classificação do Fuel Credit Score</b> 📈',
+    weekRow: '{position} {name}: {change} em 7 dias',
+    weekEmpty: '📊 Nenhuma mudança de pontuação neste grupo nos últimos 7 dias.',
+    page: 'Página {page} de {pages}',
+    whereAmI: '📍 Onde estou?',
+    notListed: 'Você ainda não está nesta classificação.',
+    row: '{position} {name}: {score} pontos'
+  },
+
+  score: {
+    notRegistered: '❌ Você ainda não se registrou. Use /start para se registrar!',
+    current: '{emoji} Sua pontuação de crédito atual é: {score} pontos ({tier})',
+    other: '{emoji} A pontuação de crédito de {name} é: {score} pontos ({tier})',
+    otherNotRegistered: '❌ {name} ainda não tem pontuação neste grupo.'
+  },
+
+  members: {
+    unknown: '❌ Ainda não conheço @{handle} neste grupo. Essa pessoa precisa mandar uma mensagem aqui primeiro.'
+  },
+
+  history: {
+    empty: '📜 Ainda não há mudanças de pontuação para {name}.',
+    title: '📜 Últimas {count} mudanças de pontuação de {name}:',
+    by: ' por {name}'
+  },
+
+  stats: {
+    notFound: '❌ {name} ainda não tem pontuação neste grupo.',
+    title: '📊 Estatísticas de {name}',
+    received: '📥 Votos recebidos: {total} ({positive} a favor, {negative} contra)',
+    given: '📤 Votos dados: {total} ({positive} a favor, {negative} contra)',
+    bestFriend: '🤝 Melhor amigo: {name} ({points})',
+    noBestFriend: '🤝 Melhor amigo: ninguém ainda',
+    nemesis: '😈 Nêmesis: {name} ({points})',
+    noNemesis: '😈 Nêmesis: ninguém ainda',
+    swing: '🎢 Maior mudança em um dia: {change} em {date}',
+    noSwing: '🎢 Maior mudança em um dia: nenhuma mudança ainda',
+    rank: '🏅 Posição {rank} de {total}, percentil {percentile}',
+    unranked: '🏅 Fora da classificação'
+  },
+
+  stickers: {
+    adminOnly: '❌ Só os administradores podem mudar as figurinhas de voto.',
+    setUsage: '❌ Responda a uma figurinha com /setsticker +20 ou /setsticker -20 (no máximo {max} para qualquer lado).',
+    thisSticker: 'Esta figurinha',
+    set: '✅ {sticker} agora muda as pontuações em {value} pontos.',
+    ownList: 'Este grupo agora usa sua própria lista de figurinhas em vez das padrão.',
+    unsetUsage: '❌ Responda a uma figurinha com /unsetsticker para que ela pare de mudar pontuações.',
+    unset: '✅ {sticker} não muda mais as pontuações.',
+    notFound: '❌ Essa figurinha não é uma das figurinhas de voto deste grupo.',
+    defaults: '🏷 Este grupo usa as figurinhas padrão 👍 (+20) e 👎 (-20). Os administradores podem responder a uma figurinha com /setsticker +20 para escolher as suas.',
+    empty: '🏷 Não há figurinhas de voto neste grupo. Os administradores podem responder a uma figurinha com /setsticker +20 para adicionar uma.',
+    title: '🏷 Figurinhas de voto neste grupo:',
+    fromSet: ' de {set}',
+    row: '{emoji}{set}: {value} pontos'
+  },
+
+  reactions: {
+    adminOnly: '❌ Só os administradores podem mudar as reações de voto.',
+    setUsage: '❌ Uso: /setreaction 🔥 +10 (no máximo {max} para qualquer lado).',
+    set: '✅ As reações {emoji} agora mudam as pontuações em {value} pontos.',
+    unsetUsage: '❌ Uso: /unsetreaction 🔥',
+    unset: '✅ As reações {emoji} não mudam mais as pontuações.',
+    notFound: '❌ {emoji} não é uma das reações de voto deste grupo.',
+    empty: '😶 As reações não mudam pontuações neste grupo. Os administradores podem usar /setreaction 👍 +20 para ativá-las.',
+    title: '😀 Reações de voto neste grupo:',
+    row: '{emoji}: {value} pontos'
+  },
+
+  limits: {
+    off: 'desligado',
+    budget: '• budget: {value}',
+    budgetValue: '{count} votos por pessoa por dia',
+    cooldown: '• cooldown: {value}',
+    cooldownValue: '{count} minutos entre votos na mesma pessoa',
+    permessage: '• permessage: {value}',
+    permessageValue: 'um voto por mensagem',
+    cap: '• cap: {value}',
+    capValue: '{count} pontos que um votante pode mover de uma pessoa por dia',
+    notifyReply: '• notify: responder quando um voto for rejeitado',
+    notifySilent: '• notify: rejeitar votos em silêncio',
+    title: '🛡 Limites de votação neste grupo:',
+    howToChange: 'Os administradores podem mudá-los com /setlimit <nome> <valor>.',
+    adminOnly: '❌ Só os administradores podem mudar os limites de votação.',
+    usage: '❌ Uso: /setlimit <{names}> <valor>. Números definem um limite (0 desliga), permessage aceita on/off e notify aceita reply/silent.',
+    updated: '✅ Limites de votação atualizados:'
+  },
+
+  weighting: {
+    off: 'desligado',
+    status: 'A votação ponderada está {state}.',
+    on: 'ligada',
+    formula: 'peso = pontuação × tempo no grupo × atividade, entre min e max',
+    score: '• score: {value}',
+    scoreValue: '1 + pontuação do votante / {scale}',
+    tenure: '• tenure: {value}',
+    tenureValue: 'peso total após {days} dias no grupo',
+    activity: '• activity: {value} (janela: {hours} horas)',
+    activityValue: 'reduzido após {count} votos',
+    min: '• min: {value}',
+    max: '• max: {value}',
+    floor: '• floor: votantes abaixo de {value} só podem dar votos positivos',
+    howToChange: 'Os administradores podem usar /weighting on|off e /setweight <nome> <valor>.',
+    adminOnly: '❌ Só os administradores podem mudar a ponderação de votos.',
+    toggleUsage: '❌ Uso: /weighting on|off',
+    usage: '❌ Uso: /setweight <{names}> <valor>. score, tenure e activity aceitam números inteiros (0 desliga o fator), window aceita horas, min e max aceitam decimais e floor aceita uma pontuação.',
+    minAboveMax: '❌ min não pode ser maior que max (min {min}, max {max}).',
+    updated: '✅ Ponderação de votos atualizada:',
+    applied: ' ({raw} bruto × {weight} = {delta})'
+  },
+
+  tiers: {
+    title: '🎖 Níveis neste grupo:',
+    row: '{emoji} {name}: a partir de {min} pontos',
+    lowest: '{emoji} {name}: abaixo de {min} pontos',
+    defaults: 'Este grupo usa os níveis padrão.',
+    howToChange: 'Os administradores podem usar /settier <pontuação mínima> <emoji> <nome> [| comentário], /unsettier <pontuação mínima> e /resettiers.',
+    adminOnly: '❌ Só os administradores podem mudar os níveis.',
+    setUsage: '❌ Uso: /settier 200 🌟 Cidadão Modelo | Um exemplo para todos nós!',
+    set: '✅ {emoji} {name} agora começa em {min} pontos.',
+    unsetUsage: '❌ Uso: /unsettier 200',
+    unset: '✅ O nível que começava em {min} pontos foi removido.',
+    notFound: '❌ Não há nenhum nível que comece em {min} pontos.',
+    reset: '✅ Este grupo voltou a usar os níveis padrão.',
+    comment: 'Nível: {name}',
+    champion: 'Campeão',
+    championComment: 'Sua lealdade ao grupo é inquestionável!',
+    gold: 'Ouro',
+    goldComment: 'Sua posição social é bastante respeitável!',
+    citizen: 'Cidadão',
+    citizenComment: 'Seu comportamento é... aceitável.',
+    struggling: 'Em apuros',
+    strugglingComment: 'Seu crédito social precisa melhorar...',
+    watched: 'Sob vigilância',
+    watchedComment: 'Seu comportamento está sendo observado de perto!',
+    first: 'O cidadão mais confiável do grupo!',
+    second: 'Quase digno dos maiores privilégios!',
+    third: 'Ainda considerado um cidadão modelo!'
+  },
+
+  language: {
+    current: '🌐 Este grupo usa {language}. Disponíveis: {languages}.',
+    howToChange: 'Os administradores podem mudá-lo com /language <código>, por exemplo /language en.',
+    adminOnly: '❌ Só os administradores podem mudar o idioma do bot.',
+    usage: '❌ Uso: /language <{codes}>',
+    set: '✅ A partir de agora vou falar português neste grupo.'
+  },
+
+  season: {
+    over: '🏁 <b>A temporada {number} acabou!</b>',
+    nobodyScored: 'Ninguém fez pontos nesta temporada.',
+    podiumRow: '{medal} {name}: {score} pontos',
+    carriedOver: 'A temporada {number} começa agora com {carryOver}% da pontuação de cada um mantida.',
+    resetToZero: 'A temporada {number} começa agora e todos voltam a 0.',
+    title: '📅 <b>Temporada {number}</b>',
+    endsIn: 'Termina em {duration} ({length})',
+    manual: 'Termina quando um administrador usar /newseason',
+    empty: 'Ainda não há pontuações nesta temporada.',
+    adminOnly: '❌ Só os administradores podem mudar as configurações de temporada.',
+    setUsage: '❌ Uso: /setseason <{lengths}> [% mantida], por exemplo /setseason weekly 10',
+    configured: '✅ As temporadas agora são {length}, mantendo {carryOver}% de cada pontuação.',
+    currentEndsIn: 'A temporada {number} termina em {duration}.',
+    newAdminOnly: '❌ Só os administradores podem iniciar uma nova temporada.',
+    alreadyEnded: '❌ A temporada já acabou. Veja a nova em /season.',
+    hallEmpty: '🏛 Nenhuma temporada terminou neste grupo ainda.',
+    hallTitle: '🏛 <b>Hall da Fama</b> 🏛',
+    hallWinner: 'Temporada {number} ({ended}): 🥇 {name} com {score} pontos',
+    hallNoWinner: 'Temporada {number} ({ended}): sem vencedor'
+  },
+
+  digest: {
+    title: '📰 <b>Resumo semanal</b> 📰',
+    votes: '🗳 {count} votos nesta semana',
+    gainers: '📈 <b>Quem mais subiu</b>',
+    losers: '📉 <b>Quem mais caiu</b>',
+    moverRow: '{name}: {change}',
+    generous: '🎁 Votante mais generoso: {name}, que deu {points} pontos',
+    downvoted: '👎 Mais votado contra: {message} de {name}, com {count} votos negativos',
+    message: 'esta mensagem',
+    top: '🏆 <b>Top 5</b>',
+    schedule: '📰 O resumo semanal é publicado toda semana: {day} às {time} ({timezone}). O próximo é em {next}.',
+    scheduled: '✅ O resumo semanal será publicado toda semana: {day} às {time} ({timezone}), a partir de {next}.',
+    off: '📰 Este grupo não tem resumo semanal. Os administradores podem agendá-lo com /digest weekly sun 18:00 America/Sao_Paulo',
+    disabled: '✅ O resumo semanal está desativado.',
+    adminOnly: '❌ Apenas administradores do chat podem agendar o resumo semanal.',
+    usage: '❌ Uso: /digest weekly <dia> <HH:MM> [fuso horário], ex. /digest weekly sun 18:00 America/Sao_Paulo, ou /digest off',
+    badTimezone: '❌ Fuso horário desconhecido: {timezone}. Use um nome como America/Sao_Paulo ou Europe/Lisbon.',
+    days: {
+      sun: 'domingo',
+      mon: 'segunda-feira',
+      tue: 'terça-feira',
+      wed: 'quarta-feira',
+      thu: 'quinta-feira',
+      fri: 'sexta-feira',
+      sat: 'sábado'
+    }
+  },
+
+  badges: {
+    names: {
+      century: 'Centurião',
+      popular: 'Queridinho do público',
+      streak: 'Frequentador',
+      comeback: 'Grande virada',
+      reign: 'Campeão reinante'
+    },
+    descriptions: {
+      century: 'Chegou a {score} pontos',
+      popular: 'Recebeu {upvotes} votos positivos',
+      streak: 'Votou todos os dias durante {days} dias',
+      comeback: 'Subiu de uma pontuação negativa para o top {rank}',
+      reign: 'Ficou em 1º lugar por {days} dias'
+    },
+    earned: '🏅 {name} conquistou a insígnia {badge}: {description}!',
+    title: '🏅 Insígnias de {name}',
+    none: 'Nenhuma insígnia ainda.',
+    row: '{badge} - {description} ({date})',
+    unearned: 'Ainda por conquistar:',
+    unearnedRow: '{badge} - {description}',
+    adminOnly: '❌ Apenas administradores do chat podem ativar ou desativar insígnias.',
+    usage: '❌ Uso: /badges [@usuário], ou /badges <on|off> <{badges}> para ativar ou desativar uma insígnia',
+    enabled: '✅ A insígnia {badge} está ativada.',
+    disabled: '✅ A insígnia {badge} está desativada. Ninguém pode conquistá-la, e ela fica oculta até ser ativada de novo.'
+  },
+
+  transfer: {
+    exported: '📦 {users} usuários e {entries} entradas do registro. Responda a qualquer um dos arquivos com /import para carregá-lo em um grupo.',
+    usage: '❌ Responda a um arquivo CSV ou JSON com /import [motivo] para ver uma prévia e depois envie /import confirm para aplicá-lo.',
+    tooLarge: '❌ Esse arquivo é grande demais para importar (o limite é {size} MB).',
+    invalid: '❌ Não consegui ler esse arquivo. Envie um arquivo do /export ou um CSV com colunas id e score.',
+    preview: '🔍 Prévia da importação de {file}:\n• {added} usuários novos\n• {changed} pontuações alteradas\n• {unchanged} já atualizados\n• {ledger} entradas do registro a adicionar\n• {skipped} linhas ignoradas\n\nEnvie /import confirm nos próximos {minutes} minutos para aplicá-la.',
+    nothingToConfirm: '❌ Não há nada para confirmar. Primeiro responda a um arquivo com /import.',
+    reason: 'Importado de {file}',
+    imported: 'importou {file}: {added} usuários novos, {changed} pontuações alteradas e {ledger} entradas do registro adicionadas.'
+  },
+
+  admin: {
+    only: '❌ Só os administradores podem usar este comando.',
+    replyTo: '❌ Responda à mensagem de alguém: {usage}',
+    usage: '❌ Uso: {usage}',
+    announce: '🛡 {admin} {action}',
+    reason: 'Motivo: {reason}',
+    adjusted: 'ajustou a pontuação de {name} em {value} ({before} → {after}).',
+    alreadyScore: 'ℹ️ A pontuação de {name} já é {score}.',
+    setScore: 'definiu a pontuação de {name} como {score} (era {before}).',
+    resetUser: 'zerou a pontuação de {name} (era {before}).',
+    resetChatWarning: '⚠️ Isto vai zerar todas as pontuações deste grupo. Envie /resetchat confirm em até {seconds} segundos para continuar.',
+    nothingToConfirm: '❌ Nada para confirmar. Envie /resetchat [motivo] primeiro.',
+    resetChat: 'zerou todas as pontuações deste grupo ({count} usuários alterados).',
+    unmuted: 'permitiu que {name} vote novamente.',
+    muted: 'impediu {name} de votar por {duration}.',
+    excluded: 'removeu {name} da classificação.',
+    included: 'colocou {name} de volta na classificação.'
+  },
+
+  votes: {
+    replyToVote: '❌ Responda à mensagem de alguém com a figurinha para mudar a pontuação!',
+    selfVote: '❌ Você não pode mudar sua própria pontuação!',
+    botTarget: '❌ Bots não podem receber pontuação de crédito!',
+    rejected: '⏳ {reason}',
+    rejectedReaction: '⏳ {name}: {reason}',
+    changed: '{emoji} A pontuação de crédito de {name} mudou de {before} para {after}{weight}',
+    muted: 'Você está impedido de votar até {until} UTC.',
+    excluded: 'Essa pessoa está excluída da classificação.',
+    positiveOnly: 'Sua pontuação está abaixo de {floor}, então você só pode dar votos positivos.',
+    alreadyVoted: 'Você já votou nessa mensagem.',
+    budgetUsed: 'Você já usou todos os seus {budget} votos de hoje.',
+    cooldown: 'Você só pode votar na mesma pessoa uma vez a cada {minutes} minutos.',
+    dailyCap: 'Você não pode mudar a pontuação de uma pessoa em mais de {cap} pontos por dia.'
+  }
+};
@@ -0,0 +1,340 @@
+// Russian messages
+module.exports = {
+  languageName: 'Русский',
+
+  commands: {
+    start: 'Начать пользоваться ботом и зарегистрироваться в этой группе',
+    score: 'Узнать свой кредитный рейтинг в этой группе',
+    leaderboard: 'Таблица лидеров (добавьте bottom или week для других видов)',
+    history: 'Последние изменения рейтинга (ответьте кому-нибудь, чтобы увидеть его)',
+    stats: 'Статистика голосов (ответьте кому-нибудь, чтобы увидеть его)',
+    stickers: 'Стикеры, которые меняют рейтинг в этой группе',
+    reactions: 'Реакции, которые меняют рейтинг в этой группе',
+    limits: 'Ограничения голосования в этой группе',
+    weighting: 'Как взвешиваются голоса в этой группе',
+    tiers: 'Ранги в этой группе',
+    language: 'Показать или сменить язык бота в этой группе',
+    season: 'Таблица текущего сезона и оставшееся время',
+    halloffame: 'Победители прошлых сезонов',
+    digest: 'Показать, когда публикуется еженедельная сводка',
+    badges: 'Показать ваши значки или значки другого участника'
+  },
+
+  errors: {
+    generic: '🚫 Извините, не удалось обработать запрос. Попробуйте позже.',
+    score: '🚫 Извините, не удалось получить ваш рейтинг. Попробуйте позже.',
+    leaderboard: '🚫 Извините, не удалось получить таблицу лидеров. Попробуйте позже.',
+    history: '🚫 Извините, не удалось получить историю. Попробуйте позже.',
+    stats: '🚫 Извините, не удалось получить статистику. Попробуйте позже.',
+    saveSticker: '🚫 Извините, не удалось сохранить стикер. Попробуйте позже.',
+    removeSticker: '🚫 Извините, не удалось удалить стикер. Попробуйте позже.',
+    stickers: '🚫 Извините, не удалось получить стикеры. Попробуйте позже.',
+    saveReaction: '🚫 Извините, не удалось сохранить реакцию. Попробуйте позже.',
+    removeReaction: '🚫 Извините, не удалось удалить реакцию. Попробуйте позже.',
+    reactions: '🚫 Извините, не удалось получить реакции. Попробуйте позже.',
+    limits: '🚫 Извините, не удалось получить ограничения. Попробуйте позже.',
+    saveLimit: '🚫 Извините, не удалось сохранить ограничение. Попробуйте позже.',
+    weighting: '🚫 Извините, не удалось изменить взвешивание голосов. Попробуйте позже.',
+    saveWeighting: '🚫 Извините, не удалось сохранить взвешивание. Попробуйте позже.',
+    tiers: '🚫 Извините, не удалось получить ранги. Попробуйте позже.',
+    saveTiers: '🚫 Извините, не удалось сохранить ранги. Попробуйте позже.',
+    language: '🚫 Извините, не удалось сменить язык. Попробуйте позже.',
+    season: '🚫 Извините, не удалось получить сезон. Попробуйте позже.',
+    saveSeason: '🚫 Извините, не удалось сохранить настройки сезонов. Попробуйте позже.',
+    newSeason: '🚫 Извините, не удалось начать новый сезон. Попробуйте позже.',
+    hallOfFame: '🚫 Извините, не удалось получить зал славы. Попробуйте позже.',
+    digest: '🚫 Извините, не удалось обработать еженедельную сводку. Попробуйте позже.',
+    badges: '🚫 Извините, не удалось обработать значки. Попробуйте позже.',
+    adjust: '🚫 Извините, не удалось изменить рейтинг. Попробуйте позже.',
+    setScore: '🚫 Извините, не удалось установить рейтинг. Попробуйте позже.',
+    resetUser: '🚫 Извините, не удалось сбросить рейтинг. Попробуйте позже.',
+    resetChat: '🚫 Извините, не удалось сбросить рейтинги. Попробуйте позже.',
+    export: '🚫 Извините, не удалось экспортировать рейтинги. Попробуйте позже.',
+    import: '🚫 Извините, не удалось импортировать файл. Попробуйте позже.',
+    muteVoter: '🚫 Извините, не удалось запретить голосование. Попробуйте позже.',
+    exclude: '🚫 Извините, не удалось обновить таблицу лидеров. Попробуйте позже.',
+    sticker: '🚫 Извините, не удалось обработать ваш стикер. Попробуйте позже.',
+    reaction: '🚫 Извините, не удалось обработать вашу реакцию. Попробуйте позже.'
+  },
+
+  start: {
+    welcome: '👋 Добро пожаловать, {name}! Вы зарегистрированы в системе Fuel Credit Score. Ваш начальный рейтинг — 0.',
+    welcomeBack: '👋 Привет, {name}! Ваш текущий кредитный рейтинг — {score}.'
+  },
+
+  leaderboard: {
+    empty: '📊 В этой группе пока нет рейтингов.',
+    usage: '❌ Использование: /leaderboard [bottom|week]',
+    topTitle: '🏆 <b>Таблица лидеров Fuel Credit Score</b> 🏆',
+    bottomTitle: '🔻 <b>Таблица лидеров Fuel Credit Score: снизу</b> 🔻',
+    weekTitle: '📈 <b>Таблица лидеров Fuel Credit Score за неделю</b> 📈',
+    weekRow: '{position} {name}: {change} за 7 дней',
+    weekEmpty: '📊 За последние 7 дней рейтинги в группе не менялись.',
+    page: 'Страница {page} из {pages}',
+    whereAmI: '📍 Где я?',
+    notListed: 'Вас пока нет в этой таблице.',
+    row: '{position} {name}: {score} очков'
+  },
+
+  score: {
+    notRegistered: '❌ Вы ещё не зарегистрированы. Используйте /start!',
+    current: '{emoji} Ваш текущий кредитный рейтинг: {score} очков ({tier})',
+    other: '{emoji} Кредитный рейтинг {name}: {score} очков ({tier})',
+    otherNotRegistered: '❌ У {name} пока нет рейтинга в этой группе.'
+  },
+
+  members: {
+    unknown: '❌ Я пока не знаю @{handle} в этой группе. Сначала этому участнику нужно написать сюда сообщение.'
+  },
+
+  history: {
+    empty: '📜 Для {name} пока нет изменений рейтинга.',
+    title: '📜 Последние изменения рейтинга {name} ({count}):',
+    by: ' от {name}'
+  },
+
+  stats: {
+    notFound: '❌ У {name} пока нет рейтинга в этой группе.',
+    title: '📊 Статистика {name}',
+    received: '📥 Получено голосов: {total} ({positive} за, {negative} против)',
+    given: '📤 Отдано голосов: {total} ({positive} за, {negative} против)',
+    bestFriend: '🤝 Лучший друг: {name} ({points})',
+    noBestFriend: '🤝 Лучший друг: пока никого',
+    nemesis: '😈 Заклятый враг: {name} ({points})',
+    noNemesis: '😈 Заклятый враг: пока никого',
+    swing: '🎢 Самый резкий день: {change} ({date})',
+    noSwing: '🎢 Самый резкий день: изменений пока не было',
+    rank: '🏅 Место {rank} из {total}, перцентиль {percentile}',
+    unranked: '🏅 Нет в таблице лидеров'
+  },
+
+  stickers: {
+    adminOnly: '❌ Только администраторы могут менять стикеры для голосования.',
+    setUsage: '❌ Ответьте на стикер командой /setsticker +20 или /setsticker -20 (не больше {max} в любую сторону).',
+    thisSticker: 'Этот стикер',
+    set: '✅ {sticker} теперь меняет рейтинг на {value} очков.',
+    ownList: 'Теперь группа использует свой список стикеров вместо встроенных.',
+    unsetUsage: '❌ Ответьте на стикер командой /unsetsticker, чтобы он перестал менять рейтинг.',
+    unset: '✅ {sticker} больше не меняет рейтинг.',
+    notFound: '❌ Этот стикер не входит в стикеры голосования группы.',
+    defaults: '🏷 Группа использует встроенные стикеры 👍 (+20) и 👎 (-20). Администраторы могут ответить на стикер командой /setsticker +20, чтобы выбрать свои.',
+    empty: '🏷 В группе нет стикеров для голосования. Администраторы могут ответить на стикер командой /setsticker +20, чтобы добавить его.',
+    title: '🏷 Стикеры для голосования в этой группе:',
+    fromSet: ' из {set}',
+    row: '{emoji}{set}: {value} очков'
+  },
+
+  reactions: {
+    adminOnly: '❌ Только администраторы могут менять реакции для голосования.',
+    setUsage: '❌ Использование: /setreaction 🔥 +10 (не больше {max} в любую сторону).',
+    set: '✅ Реакции {emoji} теперь меняют рейтинг на {value} очков.',
+    unsetUsage: '❌ Использование: /unsetreaction 🔥',
+    unset: '✅ Реакции {emoji} больше не меняют рейтинг.',
+    notFound: '❌ {emoji} не входит в реакции голосования группы.',
+    empty: '😶 В этой группе реакции не меняют рейтинг. Администраторы могут включить их командой /setreaction 👍 +20.',
+    title: '😀 Реакции для голосования в этой группе:',
+    row: '{emoji}: {value} очков'
+  },
+
+  limits: {
+    off: 'выкл.',
+    budget: '• budget: {value}',
+    budgetValue: '{count} голосов на человека в день',
+    cooldown: '• cooldown: {value}',
+    cooldownValue: '{count} минут между голосами за одного человека',
+    permessage: '• permessage: {value}',
+    permessageValue: 'один голос на сообщение',
+    cap: '• cap: {value}',
+    capValue: '{count} очков, на которые один голосующий может изменить рейтинг человека за день',
+    notifyReply: '• notify: отвечать, когда голос отклонён',
+    notifySilent: '• notify: отклонять голоса молча',
+    title: '🛡 Ограничения голосования в этой группе:',
+    howToChange: 'Администраторы могут изменить их командой /setlimit <имя> <значение>.',
+    adminOnly: '❌ Только администраторы могут менять ограничения голосования.',
+    usage: '❌ Использование: /setlimit <{names}> <значение>. Числа задают ограничение (0 отключает его), permessage принимает on/off, notify — reply/silent.',
+    updated: '✅ Ограничения голосования обновлены:'
+  },
+
+  weighting: {
+    off: 'выкл.',
+    status: 'Взвешенное голосование {state}.',
+    on: 'включено',
+    formula: 'вес = рейтинг × стаж × активность, в пределах от min до max',
+    score: '• score: {value}',
+    scoreValue: '1 + рейтинг голосующего / {scale}',
+    tenure: '• tenure: {value}',
+    tenureValue: 'полный вес после {days} дней в группе',
+    activity: '• activity: {value} (окно: {hours} ч)',
+    activityValue: 'снижается после {count} голосов',
+    min: '• min: {value}',
+    max: '• max: {value}',
+    floor: '• floor: голосующие с рейтингом ниже {value} могут ставить только положительные голоса',
+    howToChange: 'Администраторы могут использовать /weighting on|off и /setweight <имя> <значение>.',
+    adminOnly: '❌ Только администраторы могут менять взвешивание голосов.',
+    toggleUsage: '❌ Использование: /weighting on|off',
+    usage: '❌ Использование: /setweight <{names}> <значение>. score, tenure и activity принимают целые числа (0 отключает фактор), window — часы, min и max — десятичные числа, floor — рейтинг.',
+    minAboveMax: '❌ min не может быть больше max (min {min}, max {max}).',
+    updated: '✅ Взвешивание голосов обновлено:',
+    applied: ' ({raw} без веса × {weight} = {delta})'
+  },
+
+  tiers: {
+    title: '🎖 Ранги в этой группе:',
+    row: '{emoji} {name}: от {min} очков',
+    lowest: '{emoji} {name}: ниже {min} очков',
+    defaults: 'Группа использует встроенные ранги.',
+    howToChange: 'Администраторы могут использовать /settier <мин. рейтинг> <эмодзи> <название> [| комментарий], /unsettier <мин. рейтинг> и /resettiers.',
+    adminOnly: '❌ Только администраторы могут менять ранги.',
+    setUsage: '❌ Использование: /settier 200 🌟 Образцовый гражданин | Пример для всех нас!',
+    set: '✅ {emoji} {name} теперь начинается с {min} очков.',
+    unsetUsage: '❌ Использование: /unsettier 200',
+    unset: '✅ Ранг, начинавшийся с {min} очков, удалён.',
+    notFound: '❌ Нет ранга, который начинается с {min} очков.',
+    reset: '✅ Группа снова использует встроенные ранги.',
+    comment: 'Ранг: {name}',
+    champion: 'Чемпион',
+    championComment: 'Ваша преданность группе не вызывает сомнений!',
+    gold: 'Золото',
+    goldComment: 'Ваше положение в обществе весьма достойное!',
+    citizen: 'Гражданин',
+    citizenComment: 'Ваше поведение... приемлемо.',
+    struggling: 'На грани',
+    strugglingComment: 'Вашему социальному рейтингу нужно подтянуться...',
+    watched: 'Под наблюдением',
+    watchedComment: 'За вашим поведением пристально следят!',
+    first: 'Самый надёжный гражданин группы!',
+    second: 'Почти достоин высших привилегий!',
+    third: 'По-прежнему образцовый гражданин!'
+  },
+
+  language: {
+    current: '🌐 Язык группы: {language}. Доступны: {languages}.',
+    howToChange: 'Администраторы могут сменить его командой /language <код>, например /language en.',
+    adminOnly: '❌ Только администраторы могут менять язык бота.',
+    usage: '❌ Использование: /language <{codes}>',
+    set: '✅ Теперь я буду говорить в этой группе по-русски.'
+  },
+
+  season: {
+    over: '🏁 <b>Сезон {number} завершён!</b>',
+    nobodyScored: 'В этом сезоне никто не набрал очков.',
+    podiumRow: '{medal} {name}: {score} очков',
+    carriedOver: 'Сезон {number} начинается сейчас, каждому переносится {carryOver}% рейтинга.',
+    resetToZero: 'Сезон {number} начинается сейчас, у всех снова 0.',
+    title: '📅 <b>Сезон {number}</b>',
+    endsIn: 'Закончится через {duration} ({length})',
+    manual: 'Закончится, когда администратор выполнит /newseason',
+    empty: 'В этом сезоне пока нет рейтингов.',
+    adminOnly: '❌ Только администраторы могут менять настройки сезонов.',
+    setUsage: '❌ Использование: /setseason <{lengths}> [% переноса], например /setseason weekly 10',
+    configured: '✅ Сезоны теперь {length}, переносится {carryOver}% рейтинга.',
+    currentEndsIn: 'Сезон {number} закончится через {duration}.',
+    newAdminOnly: '❌ Только администраторы могут начать новый сезон.',
+    alreadyEnded: '❌ Сезон уже закончился. Новый смотрите в /season.',
+    hallEmpty: '🏛 В этой группе ещё не закончился ни один сезон.',
+    hallTitle: '🏛 <b>Зал славы</b> 🏛',
+    hallWinner: 'Сезон {number} ({ended}): 🥇 {name} — {score} очков',
+    hallNoWinner: 'Сезон {number} ({ended}): без победителя'
+  },
+
+  digest: {
+    title: '📰 <b>Еженедельная сводка</b> 📰',
+    votes: '🗳 Голосов за неделю: {count}',
+    gainers: '📈 <b>Больше всех выросли</b>',
+    losers: '📉 <b>Больше всех упали</b>',
+    moverRow: '{name}: {change}',
+    generous: '🎁 Самый щедрый: {name}, раздал {points} очков',
+    downvoted: '👎 Больше всего минусов: {message} от {name}, минусов: {count}',
+    message: 'это сообщение',
+    top: '🏆 <b>Топ-5</b>',
+    schedule: '📰 Еженедельная сводка выходит раз в неделю: {day}, {time} ({timezone}). Следующая: {next}.',
+    scheduled: '✅ Еженедельная сводка будет выходить раз в неделю: {day}, {time} ({timezone}). Первая: {next}.',
+    off: '📰 В этой группе нет еженедельной сводки. Администраторы могут включить её командой /digest weekly sun 18:00 Europe/Moscow',
+    disabled: '✅ Еженедельная сводка отключена.',
+    adminOnly: '❌ Только администраторы чата могут настраивать еженедельную сводку.',
+    usage: '❌ Использование: /digest weekly <день> <ЧЧ:ММ> [часовой пояс], например /digest weekly sun 18:00 Europe/Moscow, или /digest off',
+    badTimezone: '❌ Неизвестный часовой пояс: {timezone}. Используйте название вроде Europe/Moscow или Asia/Yekaterinburg.',
+    days: {
+      sun: 'воскресенье',
+      mon: 'понедельник',
+      tue: 'вторник',
+      wed: 'среда',
+      thu: 'четверг',
+      fri: 'пятница',
+      sat: 'суббота'
+    }
+  },
+
+  badges: {
+    names: {
+      century: 'Сотник',
+      popular: 'Любимец публики',
+      streak: 'Завсегдатай',
+      comeback: 'Камбэк',
+      reign: 'Действующий чемпион'
+    },
+    descriptions: {
+      century: 'Набрал {score} очков',
+      popular: 'Получил {upvotes} голосов «за»',
+      streak: 'Голосовал каждый день в течение {days} дней',
+      comeback: 'Поднялся с отрицательного счёта в топ-{rank}',
+      reign: 'Продержался на 1-м месте {days} дней'
+    },
+    earned: '🏅 {name} получает значок {badge}: {description}!',
+    title: '🏅 Значки {name}',
+    none: 'Значков пока нет.',
+    row: '{badge} - {description} ({date})',
+    unearned: 'Ещё можно получить:',
+    unearnedRow: '{badge} - {description}',
+    adminOnly: '❌ Только администраторы чата могут включать и выключать значки.',
+    usage: '❌ Использование: /badges [@пользователь] или /badges <on|off> <{badges}>, чтобы включить или выключить значок',
+    enabled: '✅ Значок {badge} включён.',
+    disabled: '✅ Значок {badge} выключен. Его нельзя получить, и он скрыт, пока его снова не включат.'
+  },
+
+  transfer: {
+    exported: '📦 Пользователей: {users}, записей журнала: {entries}. Ответьте на любой из файлов командой /import, чтобы загрузить его в группу.',
+    usage: '❌ Ответьте на файл CSV или JSON командой /import [причина], чтобы посмотреть, что изменится, а затем отправьте /import confirm, чтобы применить его.',
+    tooLarge: '❌ Файл слишком большой для импорта (максимум {size} МБ).',
+    invalid: '❌ Не удалось прочитать файл. Пришлите файл из /export или CSV со столбцами id и score.',
+    preview: '🔍 Предпросмотр импорта {file}:\n• новых пользователей: {added}\n• изменённых рейтингов: {changed}\n• без изменений: {unchanged}\n• записей журнала к добавлению: {ledger}\n• пропущено строк: {skipped}\n\nОтправьте /import confirm в течение {minutes} минут, чтобы применить импорт.',
+    nothingToConfirm: '❌ Нечего подтверждать. Сначала ответьте на файл командой /import.',
+    reason: 'Импорт из {file}',
+    imported: 'импортировал(а) {file}: новых пользователей: {added}, изменённых рейтингов: {changed}, добавлено записей журнала: {ledger}.'
+  },
+
+  admin: {
+    only: '❌ Эту команду могут использовать только администраторы.',
+    replyTo: '❌ Ответьте на чьё-нибудь сообщение: {usage}',
+    usage: '❌ Использование: {usage}',
+    announce: '🛡 {admin} {action}',
+    reason: 'Причина: {reason}',
+    adjusted: 'изменил(а) рейтинг {name} на {value} ({before} → {after}).',
+    alreadyScore: 'ℹ️ Рейтинг {name} уже равен {score}.',
+    setScore: 'установил(а) рейтинг {name} на {score} (было {before}).',
+    resetUser: 'сбросил(а) рейтинг {name} до 0 (было {before}).',
+    resetChatWarning: '⚠️ Это сбросит все рейтинги в группе до 0. Отправьте /resetchat confirm в течение {seconds} секунд, чтобы продолжить.',
+    nothingToConfirm: '❌ Нечего подтверждать. Сначала отправьте /resetchat [причина].',
+    resetChat: 'сбросил(а) все рейтинги в группе до 0 (изменено пользователей: {count}).',
+    unmuted: 'снова разрешил(а) {name} голосовать.',
+    muted: 'запретил(а) {name} голосовать на {duration}.',
+    excluded: 'убрал(а) {name} из таблицы лидеров.',
+    included: 'вернул(а) {name} в таблицу лидеров.'
+  },
+
+  votes: {
+    replyToVote: '❌ Ответьте стикером на чьё-нибудь сообщение, чтобы изменить рейтинг!',
+    selfVote: '❌ Нельзя менять свой собственный рейтинг!',
+    botTarget: '❌ Боты не могут получать кредитный рейтинг!',
+    rejected: '⏳ {reason}',
+    rejectedReaction: '⏳ {name}: {reason}',
+    changed: '{emoji} Кредитный рейтинг {name} изменился с {before} на {after}{weight}',
+    muted: 'Вам запрещено голосовать до {until} UTC.',
+    excluded: 'Этот человек исключён из таблицы лидеров.',
+    positiveOnly: 'Ваш рейтинг ниже {floor}, поэтому вы можете ставить только положительные голоса.',
+    alreadyVoted: 'Вы уже голосовали за это сообщение.',
+    budgetUsed: 'Вы использовали все {budget} голосов на сегодня.',
+    cooldown: 'За одного и того же человека можно голосовать раз в {minutes} минут.',
+    dailyCap: 'Нельзя изменить рейтинг одного человека больше чем на {cap} очков в день.'
+  }
+};
@@ -0,0 +1,128 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// One JSON line per event, e.g.
+//   {"time":"...","level":"info","msg":"Season ended","chatId":"-100123","number":4}
+// LOG_LEVEL picks the least severe level written (default info). Whatever
+// handles an update logs with its update, chat and user ids attached.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+// Fields whose values never appear in the logs, and fields holding what
+// people wrote, which only appear with debug logging
+const SECRET_FIELDS = /(password|secret|token|authorization|cookie)$/i;
+const TEXT_FIELDS = ['text', 'caption'];
+
+let threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS[DEFAULT_LEVEL];
+
+// Fields attached to every event logged while handling an update
+const context = new AsyncLocalStorage();
+
+const setLevel = (level) => {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+  }
+  threshold = LEVELS[level];
+};
+
+const isLevelEnabled = level => LEVELS[level] >= threshold;
+
+// Take credentials out of a string: the user and password in database URIs,
+// and the bot token, which Telegram's API URLs contain
+const redactString = (value) => {
+  let redacted = value.replace(/(\w+:\/\/)[^/\s:@]+:[^/\s@]+@/g, '$1<credentials>@');
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (token) {
+    redacted = redacted.split(token).join('<bot token>');
+  }
+  return redacted.replace(/\b\d{5,}:[\w-]{30,}\b/g, '<bot token>');
+};
+
+// A copy of a logged value that is safe to write out, with errors reduced to
+// their useful fields
+const redact = (value, key, seen = new WeakSet()) => {
+  if (key && SECRET_FIELDS.test(key)) {
+    return '<redacted>';
+  }
+  if (key && TEXT_FIELDS.includes(key) && !isLevelEnabled('debug')) {
+    return value === undefined || value === null ? value : '<redacted>';
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '<circular>';
+  }
+  seen.add(value);
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      stack: value.stack
+    }, undefined, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, undefined, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redact(item, field, seen)]));
+};
+
+const write = (level, msg, fields) => {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+  const event = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...redact({ ...context.getStore(), ...fields })
+  };
+  const line = `${JSON.stringify(event)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+// A logger that adds `bound` to everything it logs
+const createLogger = (bound = {}) => ({
+  debug: (msg, fields) => write('debug', msg, { ...bound, ...fields }),
+  info: (msg, fields) => write('info', msg, { ...bound, ...fields }),
+  warn: (msg, fields) => write('warn', msg, { ...bound, ...fields }),
+  error: (msg, fields) => write('error', msg, { ...bound, ...fields }),
+  child: fields => createLogger({ ...bound, ...fields })
+});
+
+const logger = createLogger();
+
+// The ids to log with an update: the update's own, and its chat and sender
+const updateContext = (update) => {
+  const payload = update.message || update.edited_message || update.callback_query || update.message_reaction || {};
+  const chat = payload.chat || (payload.message && payload.message.chat);
+  const user = payload.from || payload.user;
+  return {
+    updateId: update.update_id,
+    ...(chat ? { chatId: chat.id.toString() } : {}),
+    ...(user ? { userId: user.id.toString() } : {})
+  };
+};
+
+// Run `fn` with every event it logs, including from callbacks it starts,
+// tagged with the update's ids
+const withUpdateContext = (update, fn) => context.run(updateContext(update), fn);
+
+module.exports = {
+  LEVELS,
+  logger,
+  setLevel,
+  isLevelEnabled,
+  redact,
+  withUpdateContext
+};
@@ -0,0 +1,47 @@
+const { getStorage } = require('./storage');
+
+// The name a Telegram user is shown under. Some people add a "| tagline"
+// to their first name, which is left out.
+const displayName = (from) => {
+  const firstName = (from.first_name || '').split('|')[0].trim();
+  return firstName || from.username || from.id.toString();
+};
+
+// Refresh a member's stored display name and @username from a message they
+// sent. Only users who already have a score are touched, and only when
+// something changed.
+const syncMember = (chatId, from) => {
+  return getStorage().syncMember(chatId, { id: from.id, name: displayName(from), handle: from.username });
+};
+
+// The first user a message mentions: { id, name } for a text_mention (a
+// user picked without an @username), { handle } for an @username, or null
+const getMention = (msg) => {
+  const entity = (msg.entities || []).find(e => e.type === 'text_mention' || e.type === 'mention');
+  if (!entity) {
+    return null;
+  }
+  if (entity.type === 'text_mention') {
+    return { id: entity.user.id.toString(), name: displayName(entity.user) };
+  }
+  return { handle: msg.text.substr(entity.offset + 1, entity.length - 1) };
+};
+
+// Resolve a mention to a member of the chat, or null if an @username
+// doesn't belong to anyone with a score there. Usernames are matched
+// case-insensitively, like Telegram does.
+const findMember = async (chatId, mention) => {
+  if (mention.id) {
+    return mention;
+  }
+
+  const user = await getStorage().findUserByHandle(chatId, mention.handle);
+  return user ? { id: user.telegramId, name: user.username } : null;
+};
+
+module.exports = {
+  displayName,
+  syncMember,
+  getMention,
+  findMember
+};
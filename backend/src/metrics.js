@@ -0,0 +1,188 @@
+// Counters and timings in the Prometheus text format, served at /metrics.
+// Each metric keeps one value per combination of labels it has been given.
+const registry = [];
+
+// Latency buckets for Telegram API calls, in seconds. getUpdates long polls
+// for up to the polling timeout, so the top buckets are wide.
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+// The entry for a set of labels, created with `create` the first time
+const entryFor = (entries, labels, create) => {
+  const key = JSON.stringify(labels);
+  if (!entries.has(key)) {
+    entries.set(key, { labels, ...create() });
+  }
+  return entries.get(key);
+};
+
+// A count that only goes up
+const counter = (name, help) => {
+  const entries = new Map();
+  const metric = {
+    inc: (labels = {}, amount = 1) => {
+      entryFor(entries, labels, () => ({ value: 0 })).value += amount;
+    },
+    render: () => [
+      ...header(name, help, 'counter'),
+      ...[...entries.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    ]
+  };
+  registry.push(metric);
+  return metric;
+};
+
+// A value read when the metrics are scraped; `collect` resolves with null to
+// leave it out
+const gauge = (name, help, collect) => {
+  const metric = {
+    render: () => {
+      const value = collect();
+      return value === null || value === undefined
+        ? header(name, help, 'gauge')
+        : [...header(name, help, 'gauge'), `${name} ${value}`];
+    }
+  };
+  registry.push(metric);
+  return metric;
+};
+
+// Observations counted into cumulative buckets, with their sum and count
+const histogram = (name, help, buckets) => {
+  const entries = new Map();
+  const metric = {
+    observe: (labels, value) => {
+      const entry = entryFor(entries, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render: () => [
+      ...header(name, help, 'histogram'),
+      ...[...entries.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`
+      ])
+    ]
+  };
+  registry.push(metric);
+  return metric;
+};
+
+// When the bot last received an update, and last heard back from a
+// getUpdates poll, as milliseconds since the epoch
+const activity = {
+  lastUpdateAt: null,
+  lastPollAt: null
+};
+
+const seconds = ms => (ms === null ? null : ms / 1000);
+
+const updatesReceived = counter('credit_score_updates_total', 'Updates received from Telegram, by type');
+const votesAccepted = counter('credit_score_votes_accepted_total', 'Votes applied to a score, by source');
+const votesRejected = counter('credit_score_votes_rejected_total', 'Votes refused, by source and reason');
+const commandsHandled = counter('credit_score_commands_total', 'Commands received, by command');
+const handlerErrors = counter('credit_score_handler_errors_total', 'Errors while handling an update or running a scheduled job, by handler');
+const telegramRequests = histogram(
+  'credit_score_telegram_request_duration_seconds',
+  'Telegram Bot API request latency, by method and outcome',
+  LATENCY_BUCKETS
+);
+const dbReconnects = counter('credit_score_db_reconnects_total', 'Times the MongoDB connection came back after being lost');
+gauge('credit_score_last_update_timestamp_seconds', 'When the last update was received', () => seconds(activity.lastUpdateAt));
+gauge('credit_score_last_poll_timestamp_seconds', 'When the last getUpdates poll succeeded', () => seconds(activity.lastPollAt));
+gauge('credit_score_uptime_seconds', 'How long the process has been running', () => Math.round(process.uptime()));
+
+// A storage backend's readiness as a gauge, registered once the server
+// knows which backend it uses
+const trackStorage = (storage) => {
+  gauge('credit_score_storage_ready', 'Whether the storage is connected (1) or not (0)', () => (storage.isReady() ? 1 : 0));
+};
+
+// Whether this instance holds the lease to poll Telegram, as a gauge
+const trackPoller = (isLeader) => {
+  gauge('credit_score_poller_leader', 'Whether this instance is the one polling Telegram (1) or standing by (0)', () => (isLeader() ? 1 : 0));
+};
+
+// Every metric in the text exposition format
+const renderMetrics = () => `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+
+// The type of an update, e.g. message or callback_query
+const updateType = update => Object.keys(update).find(key => key !== 'update_id') || 'unknown';
+
+// Count a bot's updates, commands and API calls. Call before attaching the
+// handlers so that their commands are counted too.
+const instrumentBot = (bot) => {
+  const processUpdate = bot.processUpdate.bind(bot);
+  bot.processUpdate = (update) => {
+    activity.lastUpdateAt = Date.now();
+    updatesReceived.inc({ type: updateType(update) });
+    return processUpdate(update);
+  };
+
+  // Commands are named by what their pattern matched, so only the bot's own
+  // commands are counted
+  const onText = bot.onText.bind(bot);
+  bot.onText = (regexp, callback) => onText(regexp, (msg, match) => {
+    const command = match[0].match(/^\/(\w+)/);
+    if (command) {
+      commandsHandled.inc({ command: command[1].toLowerCase() });
+    }
+    return callback(msg, match);
+  });
+
+  // Every API method goes through _request
+  const request = bot._request.bind(bot);
+  bot._request = async (method, options) => {
+    const started = process.hrtime.bigint();
+    const observe = outcome => telegramRequests.observe(
+      { method, outcome },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+    try {
+      const result = await request(method, options);
+      observe('ok');
+      if (method === 'getUpdates') {
+        activity.lastPollAt = Date.now();
+      }
+      return result;
+    } catch (err) {
+      observe('error');
+      throw err;
+    }
+  };
+};
+
+// When the bot last received an update and last polled, or null
+const getBotActivity = () => ({
+  lastUpdateAt: activity.lastUpdateAt && new Date(activity.lastUpdateAt),
+  lastPollAt: activity.lastPollAt && new Date(activity.lastPollAt)
+});
+
+module.exports = {
+  votesAccepted,
+  votesRejected,
+  handlerErrors,
+  dbReconnects,
+  trackStorage,
+  trackPoller,
+  renderMetrics,
+  instrumentBot,
+  getBotActivity
+};
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Badge Schema: a badge a user has earned in a chat. Each is only ever
+// awarded once per user and chat.
+const badgeSchema = new mongoose.Schema({
+  chatId: { type: String, required: true },
+  telegramId: { type: String, required: true },
+  badge: { type: String, required: true },
+  username: { type: String },
+  awardedAt: { type: Date, default: Date.now }
+});
+
+badgeSchema.index({ chatId: 1, telegramId: 1, badge: 1 }, { unique: true });
+
+const Badge = mongoose.model('Badge', badgeSchema);
+
+module.exports = {
+  Badge
+};
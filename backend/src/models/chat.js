@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// A sticker that changes scores when used as a reply
+const voteStickerSchema = new mongoose.Schema({
+  fileId: { type: String },
+  fileUniqueId: { type: String, required: true },
+  setName: { type: String },
+  emoji: { type: String },
+  credits: { type: Number, required: true },
+  addedBy: { type: String },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// An emoji reaction that changes scores
+const voteReactionSchema = new mongoose.Schema({
+  emoji: { type: String, required: true },
+  credits: { type: Number, required: true }
+}, { _id: false });
+
+// A rank tier: everyone scoring at least min gets its emoji and name
+const rankTierSchema = new mongoose.Schema({
+  min: { type: Number, required: true },
+  emoji: { type: String, required: true },
+  name: { type: String, required: true },
+  comment: { type: String }
+}, { _id: false });
+
+// Anti-abuse limits on voting. Unset fields use the defaults in limits.js.
+const voteLimitsSchema = new mongoose.Schema({
+  dailyBudget: { type: Number },
+  pairCooldownMinutes: { type: Number },
+  onePerMessage: { type: Boolean },
+  dailyTargetCap: { type: Number },
+  rejectionNotice: { type: String, enum: ['reply', 'silent'] }
+}, { _id: false });
+
+// Reputation-weighted voting. Unset fields use the defaults in weighting.js.
+const voteWeightingSchema = new mongoose.Schema({
+  enabled: { type: Boolean },
+  scoreScale: { type: Number },
+  tenureDays: { type: Number },
+  activityThreshold: { type: Number },
+  activityWindowHours: { type: Number },
+  minWeight: { type: Number },
+  maxWeight: { type: Number },
+  positiveOnlyBelow: { type: Number }
+}, { _id: false });
+
+// The chat's current season and how seasons roll over
+const seasonSettingsSchema = new mongoose.Schema({
+  length: { type: String, enum: ['weekly', 'monthly', 'manual'], default: 'manual' },
+  carryOver: { type: Number, min: 0, max: 100, default: 0 },
+  number: { type: Number, default: 1 },
+  startedAt: { type: Date },
+  endsAt: { type: Date }
+}, { _id: false });
+
+// When the chat's weekly digest is posted: a day (0 is Sunday) and HH:MM
+// time in an IANA timezone, and the next moment that comes round
+const digestSettingsSchema = new mongoose.Schema({
+  day: { type: Number, min: 0, max: 6, required: true },
+  time: { type: String, required: true },
+  timezone: { type: String, required: true },
+  nextAt: { type: Date, required: true },
+  lastPostedAt: { type: Date }
+}, { _id: false });
+
+// The user alone at the top of the leaderboard, for the badge for holding #1
+const leaderSchema = new mongoose.Schema({
+  telegramId: { type: String, required: true },
+  since: { type: Date, required: true }
+}, { _id: false });
+
+// An admin action waiting for its confirming command; see confirmations.js
+const pendingActionSchema = new mongoose.Schema({
+  adminId: { type: String, required: true },
+  reason: { type: String },
+  // For /import, the file to read again once it is confirmed
+  fileId: { type: String },
+  fileName: { type: String },
+  expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+// Chat Schema: what the bot knows about the groups it is in
+const chatSchema = new mongoose.Schema({
+  chatId: { type: String, required: true, unique: true },
+  title: { type: String },
+  type: { type: String },
+  stickers: { type: [voteStickerSchema], default: undefined },
+  reactions: { type: [voteReactionSchema], default: undefined },
+  limits: { type: voteLimitsSchema, default: undefined },
+  weighting: { type: voteWeightingSchema, default: undefined },
+  season: { type: seasonSettingsSchema, default: undefined },
+  tiers: { type: [rankTierSchema], default: undefined },
+  digest: { type: digestSettingsSchema, default: undefined },
+  // Badges admins have turned off; see badges.js
+  disabledBadges: { type: [String], default: undefined },
+  // Who is alone at the top of the leaderboard, and since when
+  leader: { type: leaderSchema, default: undefined },
+  // /resetchat and /import requests waiting to be confirmed
+  pendingActions: {
+    resetChat: { type: pendingActionSchema, default: undefined },
+    import: { type: pendingActionSchema, default: undefined }
+  },
+  // Language code for the bot's replies; see i18n.js
+  language: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Due digests are looked up across all chats
+chatSchema.index({ 'digest.nextAt': 1 }, { sparse: true });
+
+const Chat = mongoose.model('Chat', chatSchema);
+
+// Record the chat's current title and type from an incoming message
+const touchChat = (chat) => {
+  return Chat.updateOne(
+    { chatId: chat.id.toString() },
+    {
+      $set: {
+        title: chat.title || chat.first_name || chat.username,
+        type: chat.type,
+        updatedAt: new Date()
+      },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = {
+  Chat,
+  touchChat
+};
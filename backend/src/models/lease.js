@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Lease Schema: which instance holds a lease, such as the one to poll
+// Telegram for updates, and until when. The holder renews it while it is
+// alive; once it runs out any instance can take it.
+const leaseSchema = new mongoose.Schema({
+  _id: { type: String },
+  holder: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  acquiredAt: { type: Date }
+});
+
+// Leases left to run out, e.g. by a crashed instance, are cleaned up by MongoDB
+leaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Lease = mongoose.model('Lease', leaseSchema);
+
+module.exports = {
+  Lease
+};
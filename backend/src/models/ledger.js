@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const LEDGER_SOURCES = ['sticker', 'reaction', 'admin', 'season', 'import'];
+
+// Ledger Schema: one immutable entry per score change
+const ledgerSchema = new mongoose.Schema({
+  chatId: { type: String, required: true, immutable: true },
+  targetId: { type: String, required: true, immutable: true },
+  targetName: { type: String, immutable: true },
+  voterId: { type: String, immutable: true },
+  voterName: { type: String, immutable: true },
+  delta: { type: Number, required: true, immutable: true },
+  // For weighted votes, the vote's face value and the weight applied to it
+  rawDelta: { type: Number, immutable: true },
+  weight: { type: Number, immutable: true },
+  scoreBefore: { type: Number, required: true, immutable: true },
+  scoreAfter: { type: Number, required: true, immutable: true },
+  source: { type: String, enum: LEDGER_SOURCES, required: true, immutable: true },
+  messageId: { type: Number, immutable: true },
+  stickerId: { type: String, immutable: true },
+  reaction: { type: String, immutable: true },
+  // Why an admin changed the score
+  reason: { type: String, immutable: true },
+  // Set on entries that undo an earlier vote, such as a removed reaction
+  reversal: { type: Boolean, default: false, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+ledgerSchema.index({ chatId: 1, targetId: 1, createdAt: -1 });
+ledgerSchema.index({ chatId: 1, createdAt: -1 });
+ledgerSchema.index({ chatId: 1, messageId: 1, voterId: 1 });
+ledgerSchema.index({ chatId: 1, voterId: 1, createdAt: -1 });
+
+// Entries are append-only: refuse any attempt to rewrite one
+ledgerSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+  throw new Error('Ledger entries are immutable');
+});
+
+ledgerSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Ledger entries are immutable');
+  }
+});
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerSchema);
+
+module.exports = {
+  LEDGER_SOURCES,
+  LedgerEntry
+};
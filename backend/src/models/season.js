@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A user's final placing in an archived season
+const standingSchema = new mongoose.Schema({
+  telegramId: { type: String, required: true },
+  username: { type: String },
+  creditScore: { type: Number, required: true },
+  rank: { type: Number, required: true }
+}, { _id: false });
+
+// Season Schema: the final leaderboard of a chat's finished season
+const seasonSchema = new mongoose.Schema({
+  chatId: { type: String, required: true },
+  number: { type: Number, required: true },
+  startedAt: { type: Date, required: true },
+  endedAt: { type: Date, required: true },
+  carryOver: { type: Number, default: 0 },
+  standings: { type: [standingSchema], default: [] }
+});
+
+seasonSchema.index({ chatId: 1, number: -1 }, { unique: true });
+
+const Season = mongoose.model('Season', seasonSchema);
+
+module.exports = {
+  Season
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// User Schema: one document per user per chat, all in the `users` collection
+const userSchema = new mongoose.Schema({
+  telegramId: { type: String, required: true },
+  chatId: { type: String, required: true },
+  // Display name, kept in sync with the user's Telegram first name
+  username: { type: String, required: true },
+  // Their @username, without the @, if they have one
+  telegramUsername: { type: String },
+  creditScore: { type: Number, default: 0 },
+  // Set by admins: no voting until this date, and hidden from the leaderboard
+  votingMutedUntil: { type: Date },
+  excluded: { type: Boolean, default: false },
+  // The legacy per-chat collection this document was migrated from, if any
+  migratedFrom: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Create a compound unique index
+userSchema.index({ telegramId: 1, chatId: 1 }, { unique: true });
+// Leaderboards and ranks are always per chat, ordered by score
+userSchema.index({ chatId: 1, creditScore: -1 });
+
+const User = mongoose.model('User', userSchema, 'users');
+
+// Fields the leaderboard can be sorted by, mapped to their document paths.
+// Ties always fall back to who joined first so pages are stable.
+const SORT_FIELDS = {
+  score: 'creditScore',
+  username: 'username',
+  joined: 'createdAt'
+};
+
+// Users that appear on the leaderboard; admins can exclude people with /exclude
+const RANKED = { excluded: { $ne: true } };
+
+// Scores used to live in one collection per chat, named like this
+const LEGACY_COLLECTION_PATTERN = /^users_(-?\d+)$/;
+
+// List the ids of every chat that has scores
+const listChatIds = () => User.distinct('chatId');
+
+module.exports = {
+  User,
+  SORT_FIELDS,
+  RANKED,
+  LEGACY_COLLECTION_PATTERN,
+  listChatIds
+};
@@ -0,0 +1,92 @@
+const { User } = require('./models/user');
+const { applyScoreChange } = require('./scores');
+const { getStorage } = require('./storage');
+
+// Find a user in a chat, creating them with a zero score if needed
+const ensureUser = (chatId, target) => {
+  return User.findOneAndUpdate(
+    { telegramId: target.id.toString(), chatId: chatId.toString() },
+    { $setOnInsert: { username: target.name } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+// Stop a user voting until the given date (or allow them again with null)
+const muteVoter = async (chatId, target, until) => {
+  await ensureUser(chatId, target);
+  await User.updateOne(
+    { telegramId: target.id.toString(), chatId: chatId.toString() },
+    until ? { $set: { votingMutedUntil: until } } : { $unset: { votingMutedUntil: 1 } }
+  );
+};
+
+// Hide a user from the leaderboard, or bring them back
+const setExcluded = async (chatId, target, excluded) => {
+  await ensureUser(chatId, target);
+  await User.updateOne(
+    { telegramId: target.id.toString(), chatId: chatId.toString() },
+    { $set: { excluded } }
+  );
+};
+
+// Set a user's score outright, recording the difference in the ledger.
+// Resolves with the score change, or null if the score was already there.
+const setScore = async (chatId, target, admin, score, reason) => {
+  const user = await ensureUser(chatId, target);
+  if (user.creditScore === score) {
+    return null;
+  }
+  return applyScoreChange({
+    chatId,
+    target: { id: target.id, name: user.username },
+    voter: admin,
+    delta: score - user.creditScore,
+    source: 'admin',
+    reason
+  });
+};
+
+// Reset every score in a chat to 0. Resolves with how many users changed.
+const resetChat = async (chatId, admin, reason) => {
+  const users = await User.find({
+    chatId: chatId.toString(),
+    creditScore: { $ne: 0 }
+  }).lean();
+
+  for (const user of users) {
+    await applyScoreChange({
+      chatId,
+      target: { id: user.telegramId, name: user.username },
+      voter: admin,
+      delta: -user.creditScore,
+      source: 'admin',
+      reason
+    });
+  }
+  return users.length;
+};
+
+// Why a voter or target can't take part in votes right now, as a message
+// key and its parameters, or null
+const getVoteBlock = async (chatId, voterId, targetId) => {
+  const [voter, target] = await Promise.all([
+    getStorage().findUser(chatId, voterId),
+    getStorage().findUser(chatId, targetId)
+  ]);
+
+  if (voter && voter.votingMutedUntil && voter.votingMutedUntil > new Date()) {
+    return { key: 'votes.muted', params: { until: voter.votingMutedUntil.toISOString().slice(0, 16).replace('T', ' ') } };
+  }
+  if (target && target.excluded) {
+    return { key: 'votes.excluded' };
+  }
+  return null;
+};
+
+module.exports = {
+  muteVoter,
+  setExcluded,
+  setScore,
+  resetChat,
+  getVoteBlock
+};
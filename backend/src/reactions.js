@@ -0,0 +1,105 @@
+const { Chat } = require('./models/chat');
+
+// Reactions that count as votes in chats that have not configured their own
+const DEFAULT_REACTION_CREDITS = [
+  { emoji: '👍', credits: 20 },
+  { emoji: '👎', credits: -20 }
+];
+
+// Reaction updates only carry the message id, so remember who wrote recent
+// messages. Oldest entries are dropped once the cache is full.
+const AUTHOR_CACHE_SIZE = 10000;
+const messageAuthors = new Map();
+
+const authorKey = (chatId, messageId) => `${chatId}:${messageId}`;
+
+const rememberMessageAuthor = (msg) => {
+  if (!msg.from) {
+    return;
+  }
+
+  const key = authorKey(msg.chat.id, msg.message_id);
+  messageAuthors.delete(key);
+  messageAuthors.set(key, msg.from);
+  if (messageAuthors.size > AUTHOR_CACHE_SIZE) {
+    messageAuthors.delete(messageAuthors.keys().next().value);
+  }
+};
+
+const getMessageAuthor = (chatId, messageId) => {
+  return messageAuthors.get(authorKey(chatId, messageId)) || null;
+};
+
+// Only plain emoji reactions can be configured as votes
+const reactionEmojis = (reactions = []) => {
+  return reactions
+    .filter(reaction => reaction.type === 'emoji')
+    .map(reaction => reaction.emoji);
+};
+
+// Emojis added and removed between a reaction update's old and new state
+const diffReactions = (oldReaction, newReaction) => {
+  const before = reactionEmojis(oldReaction);
+  const after = reactionEmojis(newReaction);
+  return {
+    added: after.filter(emoji => !before.includes(emoji)),
+    removed: before.filter(emoji => !after.includes(emoji))
+  };
+};
+
+// The chat's vote reactions, falling back to the defaults
+const getChatReactions = async (chatId) => {
+  const chat = await Chat.findOne({ chatId: chatId.toString() }, { reactions: 1 }).lean();
+  return chat && Array.isArray(chat.reactions) ? chat.reactions : DEFAULT_REACTION_CREDITS;
+};
+
+// How many credits a reaction emoji is worth in a chat (0 if it doesn't count)
+const getReactionCredits = async (chatId, emoji) => {
+  const reactions = await getChatReactions(chatId);
+  const configured = reactions.find(reaction => reaction.emoji === emoji);
+  return configured ? configured.credits : 0;
+};
+
+// Make an emoji count as a vote in a chat, or change what it is worth
+const setReaction = async (chatId, emoji, credits) => {
+  const reactions = await getChatReactions(chatId);
+  const updated = reactions
+    .filter(reaction => reaction.emoji !== emoji)
+    .map(({ emoji: existing, credits: value }) => ({ emoji: existing, credits: value }));
+  updated.push({ emoji, credits });
+
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { reactions: updated } },
+    { upsert: true }
+  );
+};
+
+// Stop an emoji counting as a vote. Resolves with whether it counted before.
+const unsetReaction = async (chatId, emoji) => {
+  const reactions = await getChatReactions(chatId);
+  const updated = reactions
+    .filter(reaction => reaction.emoji !== emoji)
+    .map(({ emoji: existing, credits: value }) => ({ emoji: existing, credits: value }));
+  if (updated.length === reactions.length) {
+    return false;
+  }
+
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { reactions: updated } },
+    { upsert: true }
+  );
+  return true;
+};
+
+module.exports = {
+  DEFAULT_REACTION_CREDITS,
+  rememberMessageAuthor,
+  getMessageAuthor,
+  diffReactions,
+  getChatReactions,
+  getReactionCredits,
+  setReaction,
+  unsetReaction
+};
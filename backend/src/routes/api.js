@@ -0,0 +1,450 @@
+const express = require('express');
+const { User, listChatIds } = require('../models/user');
+const { Chat } = require('../models/chat');
+const { SORT_FIELDS, getLeaderboard, getUserStanding, getChatLedger } = require('../scores');
+const { getSeason, listSeasons, getArchivedSeason } = require('../seasons');
+const { DAY_MS, BUCKETS, getChatSeries, getUserSeries, getMovers } = require('../trends');
+const { getUserStats } = require('../stats');
+const { EXPORT_FORMATS, exportChat, usersToCsv } = require('../transfer');
+const { getChatStickers } = require('../stickers');
+const { getChatReactions } = require('../reactions');
+const { getChatLimits } = require('../limits');
+const { getChatWeighting } = require('../weighting');
+const { getTiers } = require('../tiers');
+const { BADGES, BADGE_KEYS, getDisabledBadges, getUserBadges } = require('../badges');
+const { getChatLanguage, translator } = require('../i18n');
+const { getChatMembership } = require('../admin');
+const { subscribe } = require('../live');
+const { logger } = require('../logger');
+const { ApiError, asyncHandler } = require('./errors');
+const { authRouter, requireSession } = require('./auth');
+
+const router = express.Router();
+
+// Everything except signing in needs a session
+router.use('/auth', authRouter);
+router.use(requireSession);
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_SERIES_DAYS = 365;
+const MAX_SERIES_POINTS = 1000;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_RETRY_MS = 3000;
+
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new ApiError(400, `${name} must be a positive integer`);
+  }
+  return Number(value);
+};
+
+// Parse the `bucket` and `days` query parameters of the series endpoints
+const parseSeriesQuery = (query) => {
+  const bucket = query.bucket || 'day';
+  if (!BUCKETS.includes(bucket)) {
+    throw new ApiError(400, `bucket must be one of: ${BUCKETS.join(', ')}`);
+  }
+
+  const days = parsePositiveInt(query.days, 'days', 30);
+  if (days > MAX_SERIES_DAYS) {
+    throw new ApiError(400, `days must be at most ${MAX_SERIES_DAYS}`);
+  }
+  if (bucket === 'hour' && days * 24 > MAX_SERIES_POINTS) {
+    throw new ApiError(400, `hourly series cover at most ${Math.floor(MAX_SERIES_POINTS / 24)} days`);
+  }
+
+  return { bucket, days, since: new Date(Date.now() - days * DAY_MS) };
+};
+
+const serializeUser = (user) => ({
+  telegramId: user.telegramId,
+  username: user.username,
+  telegramUsername: user.telegramUsername,
+  creditScore: user.creditScore,
+  rank: user.rank,
+  createdAt: user.createdAt
+});
+
+// Validate :chatId, make sure the bot has scores for it and that the signed-in
+// user is a member of the chat
+router.param('chatId', asyncHandler(async (req, res, next, chatId) => {
+  if (!/^-?\d+$/.test(chatId)) {
+    throw new ApiError(400, 'chatId must be a Telegram chat id');
+  }
+
+  // Chats the caller isn't in get the same answer as unknown ones, so nobody
+  // can find out which chats the bot keeps scores for
+  const notFound = new ApiError(404, `Chat ${chatId} not found`);
+  const exists = await User.exists({ chatId });
+  if (!exists) {
+    throw notFound;
+  }
+
+  req.membership = await getChatMembership(req.app.get('bot'), chatId, req.session.userId);
+  if (!req.membership.isMember) {
+    throw notFound;
+  }
+  next();
+}));
+
+// Only the chat's Telegram admins get past this
+const requireChatAdmin = (req, res, next) => {
+  if (!req.membership || !req.membership.isAdmin) {
+    return next(new ApiError(403, 'Only chat admins can do this'));
+  }
+  next();
+};
+
+// List the chats the bot has recorded scores for that the signed-in user is in
+router.get('/chats', asyncHandler(async (req, res) => {
+  const bot = req.app.get('bot');
+  const chatIds = await listChatIds();
+  const chats = await Chat.find({ chatId: { $in: chatIds } }).lean();
+  const chatsById = new Map(chats.map(chat => [chat.chatId, chat]));
+
+  const result = await Promise.all(chatIds.map(async (chatId) => {
+    const membership = await getChatMembership(bot, chatId, req.session.userId);
+    if (!membership.isMember) {
+      return null;
+    }
+
+    const chat = chatsById.get(chatId) || {};
+    const userCount = await User.countDocuments({ chatId });
+    return {
+      chatId,
+      title: chat.title || null,
+      type: chat.type || null,
+      userCount,
+      isAdmin: membership.isAdmin
+    };
+  }));
+
+  res.json(result.filter(Boolean));
+}));
+
+// Paginated, sortable leaderboard for one chat
+router.get('/chats/:chatId/leaderboard', asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const page = parsePositiveInt(req.query.page, 'page', 1);
+  const limit = parsePositiveInt(req.query.limit, 'limit', DEFAULT_PAGE_SIZE);
+  const sort = req.query.sort || 'score';
+  const order = req.query.order || (sort === 'score' ? 'desc' : 'asc');
+
+  if (limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, `limit must be at most ${MAX_PAGE_SIZE}`);
+  }
+  if (!SORT_FIELDS[sort]) {
+    throw new ApiError(400, `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ApiError(400, 'order must be asc or desc');
+  }
+
+  const { users, total } = await getLeaderboard(chatId, {
+    offset: (page - 1) * limit,
+    limit,
+    sort,
+    order
+  });
+
+  res.json({
+    chatId,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    sort,
+    order,
+    users: users.map(serializeUser)
+  });
+}));
+
+// One user's score and rank in a chat
+router.get('/chats/:chatId/users/:telegramId', asyncHandler(async (req, res) => {
+  const { chatId, telegramId } = req.params;
+  if (!/^\d+$/.test(telegramId)) {
+    throw new ApiError(400, 'telegramId must be a Telegram user id');
+  }
+
+  const user = await getUserStanding(chatId, telegramId);
+  if (!user) {
+    throw new ApiError(404, `User ${telegramId} not found in chat ${chatId}`);
+  }
+
+  res.json({
+    chatId,
+    ...serializeUser(user),
+    totalUsers: user.total
+  });
+}));
+
+// Server-Sent Events stream of the chat's score changes. Browsers reconnect
+// on their own and send Last-Event-ID, so anything missed is replayed.
+router.get('/chats/:chatId/events', asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  let closed = false;
+  let unsubscribe = null;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+  try {
+    unsubscribe = await subscribe(chatId, lastEventId, (event) => {
+      res.write(`id: ${event.id}\nevent: score\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+  } catch (err) {
+    // The headers are already sent, so the error handler can't answer; tell
+    // the client in the stream instead and let it reconnect
+    logger.error('Error starting score stream', { err, chatId });
+    clearInterval(heartbeat);
+    res.write(`event: error\ndata: ${JSON.stringify({ error: 'Error starting the stream' })}\n\n`);
+    res.end();
+    return;
+  }
+  if (closed) unsubscribe();
+}));
+
+// One user's score at the end of each time bucket
+router.get('/chats/:chatId/users/:telegramId/series', asyncHandler(async (req, res) => {
+  const { chatId, telegramId } = req.params;
+  if (!/^\d+$/.test(telegramId)) {
+    throw new ApiError(400, 'telegramId must be a Telegram user id');
+  }
+  const { bucket, days, since } = parseSeriesQuery(req.query);
+
+  const series = await getUserSeries(chatId, telegramId, { bucket, since });
+  if (!series) {
+    throw new ApiError(404, `User ${telegramId} not found in chat ${chatId}`);
+  }
+
+  res.json({ chatId, telegramId, bucket, days, series });
+}));
+
+// Votes one user has given and received, their best friend and nemesis,
+// biggest day and percentile
+router.get('/chats/:chatId/users/:telegramId/stats', asyncHandler(async (req, res) => {
+  const { chatId, telegramId } = req.params;
+  if (!/^\d+$/.test(telegramId)) {
+    throw new ApiError(400, 'telegramId must be a Telegram user id');
+  }
+
+  const stats = await getUserStats(chatId, telegramId);
+  if (!stats) {
+    throw new ApiError(404, `User ${telegramId} not found in chat ${chatId}`);
+  }
+
+  res.json({ chatId, ...stats });
+}));
+
+// The badges a user has earned, named in the chat's language
+router.get('/chats/:chatId/users/:telegramId/badges', asyncHandler(async (req, res) => {
+  const { chatId, telegramId } = req.params;
+  if (!/^\d+$/.test(telegramId)) {
+    throw new ApiError(400, 'telegramId must be a Telegram user id');
+  }
+
+  const [badges, language] = await Promise.all([
+    getUserBadges(chatId, telegramId),
+    getChatLanguage(chatId)
+  ]);
+  const t = translator(language);
+
+  res.json({
+    chatId,
+    telegramId,
+    badges: badges.map(({ badge, emoji, awardedAt }) => ({
+      badge,
+      emoji,
+      name: t(`badges.names.${badge}`),
+      description: t(`badges.descriptions.${badge}`, BADGES[badge].params),
+      awardedAt
+    }))
+  });
+}));
+
+// Net votes cast in a chat per time bucket
+router.get('/chats/:chatId/series', asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const { bucket, days, since } = parseSeriesQuery(req.query);
+
+  const series = await getChatSeries(chatId, { bucket, since });
+  res.json({ chatId, bucket, days, series });
+}));
+
+// Biggest gainers and losers over the last few days (a week by default)
+router.get('/chats/:chatId/movers', asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const days = parsePositiveInt(req.query.days, 'days', 7);
+  const limit = parsePositiveInt(req.query.limit, 'limit', 5);
+  if (days > MAX_SERIES_DAYS) {
+    throw new ApiError(400, `days must be at most ${MAX_SERIES_DAYS}`);
+  }
+  if (limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, `limit must be at most ${MAX_PAGE_SIZE}`);
+  }
+
+  const movers = await getMovers(chatId, { since: new Date(Date.now() - days * DAY_MS), limit });
+  res.json({ chatId, days, ...movers });
+}));
+
+// The chat's current season and its archived ones, most recent first
+router.get('/chats/:chatId/seasons', asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const [current, seasons] = await Promise.all([
+    getSeason(chatId),
+    listSeasons(chatId)
+  ]);
+
+  res.json({
+    chatId,
+    current,
+    seasons: seasons.map(season => ({
+      number: season.number,
+      startedAt: season.startedAt,
+      endedAt: season.endedAt,
+      carryOver: season.carryOver,
+      winners: season.standings.slice(0, 3)
+    }))
+  });
+}));
+
+// The final leaderboard of one archived season
+router.get('/chats/:chatId/seasons/:number', asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const number = parsePositiveInt(req.params.number, 'number');
+
+  const season = await getArchivedSeason(chatId, number);
+  if (!season) {
+    throw new ApiError(404, `Season ${number} of chat ${chatId} not found`);
+  }
+
+  res.json({
+    chatId,
+    number: season.number,
+    startedAt: season.startedAt,
+    endedAt: season.endedAt,
+    carryOver: season.carryOver,
+    standings: season.standings
+  });
+}));
+
+// Admin view: how the chat's voting is configured
+router.get('/chats/:chatId/admin/settings', requireChatAdmin, asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const language = await getChatLanguage(chatId);
+  const t = translator(language);
+  const [stickers, reactions, limits, weighting, tiers, season, disabledBadges] = await Promise.all([
+    getChatStickers(chatId),
+    getChatReactions(chatId),
+    getChatLimits(chatId),
+    getChatWeighting(chatId),
+    getTiers(chatId, t),
+    getSeason(chatId),
+    getDisabledBadges(chatId)
+  ]);
+
+  res.json({
+    chatId,
+    language,
+    stickers,
+    usesDefaultStickers: !stickers,
+    reactions,
+    limits,
+    weighting,
+    tiers,
+    season,
+    badges: BADGE_KEYS.map(badge => ({
+      badge,
+      emoji: BADGES[badge].emoji,
+      name: t(`badges.names.${badge}`),
+      enabled: !disabledBadges.includes(badge)
+    }))
+  });
+}));
+
+// Admin view: every score change in the chat, newest first
+router.get('/chats/:chatId/admin/ledger', requireChatAdmin, asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const limit = parsePositiveInt(req.query.limit, 'limit', DEFAULT_PAGE_SIZE);
+  if (limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, `limit must be at most ${MAX_PAGE_SIZE}`);
+  }
+
+  let before;
+  if (req.query.before !== undefined) {
+    before = new Date(req.query.before);
+    if (Number.isNaN(before.getTime())) {
+      throw new ApiError(400, 'before must be a date');
+    }
+  }
+
+  const entries = await getChatLedger(chatId, { limit, before });
+  res.json({
+    chatId,
+    entries: entries.map(entry => ({
+      targetId: entry.targetId,
+      targetName: entry.targetName,
+      voterId: entry.voterId || null,
+      voterName: entry.voterName || null,
+      delta: entry.delta,
+      scoreBefore: entry.scoreBefore,
+      scoreAfter: entry.scoreAfter,
+      source: entry.source,
+      reason: entry.reason || null,
+      messageId: entry.messageId || null,
+      createdAt: entry.createdAt
+    }))
+  });
+}));
+
+// Download every score and ledger entry in a chat, the same as /export.
+// format=csv gives just the users.
+router.get('/chats/:chatId/admin/export', requireChatAdmin, asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ApiError(400, `format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const data = await exportChat(chatId);
+  const filename = `fuel-credit-score-${chatId}-${data.exportedAt.toISOString().slice(0, 10)}.${format}`;
+  res.attachment(filename);
+  if (format === 'csv') {
+    res.type('text/csv').send(usersToCsv(data.users));
+  } else {
+    res.json(data);
+  }
+}));
+
+router.use((req, res, next) => {
+  next(new ApiError(404, `No route for ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+router.use((err, req, res, next) => {
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  logger.error('API error', { err, method: req.method, path: req.originalUrl.split('?')[0] });
+  res.status(500).json({ error: 'Internal Server Error' });
+});
+
+module.exports = router;
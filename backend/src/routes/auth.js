@@ -0,0 +1,53 @@
+const express = require('express');
+const { ApiError, asyncHandler } = require('./errors');
+const { verifyTelegramLogin, createSessionToken, verifySessionToken } = require('../auth');
+
+const router = express.Router();
+
+// Reject requests without a valid session; attach the session to the request.
+// The token can also come as ?access_token=, since EventSource can't send headers.
+const requireSession = (req, res, next) => {
+  const [scheme, header] = (req.get('authorization') || '').split(' ');
+  const token = scheme === 'Bearer' ? header : req.query.access_token;
+  const session = token ? verifySessionToken(token) : null;
+  if (!session) {
+    return next(new ApiError(401, 'Sign in with Telegram to use the dashboard'));
+  }
+  req.session = session;
+  next();
+};
+
+// What the dashboard needs to show the Telegram Login Widget
+router.get('/config', asyncHandler(async (req, res) => {
+  const me = await req.app.get('bot').getMe();
+  res.json({ botUsername: me.username });
+}));
+
+// Exchange a Telegram Login Widget payload for a session token
+router.post('/telegram', (req, res, next) => {
+  if (!verifyTelegramLogin(req.body, process.env.TELEGRAM_BOT_TOKEN)) {
+    return next(new ApiError(401, 'Telegram login could not be verified'));
+  }
+
+  res.json({
+    token: createSessionToken(req.body),
+    user: {
+      id: req.body.id.toString(),
+      name: req.body.first_name || req.body.username,
+      username: req.body.username || null
+    }
+  });
+});
+
+router.get('/me', requireSession, (req, res) => {
+  res.json({
+    id: req.session.userId,
+    name: req.session.name,
+    username: req.session.username || null
+  });
+});
+
+module.exports = {
+  authRouter: router,
+  requireSession
+};
@@ -0,0 +1,18 @@
+// Error carrying the HTTP status the API should answer with
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// Forward rejected promises from async route handlers to the error middleware
+const asyncHandler = (handler) => (req, res, next, ...params) => {
+  Promise.resolve(handler(req, res, next, ...params)).catch(next);
+};
+
+module.exports = {
+  ApiError,
+  asyncHandler
+};
@@ -0,0 +1,41 @@
+const express = require('express');
+const { renderMetrics, getBotActivity } = require('../metrics');
+
+// Probes for the host and monitoring, served without a session:
+//   /healthz  the process is up
+//   /readyz   the storage is connected and the bot is receiving updates;
+//             503 when it isn't, with the failing check set to false
+//   /metrics  Prometheus metrics
+// `isReceivingUpdates` says whether the bot's updates are still arriving, and
+// `getPollerRole`, when instances share polling, whether this one polls.
+const createHealthRouter = ({ storage, isReceivingUpdates, getPollerRole }) => {
+  const router = express.Router();
+
+  router.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+  });
+
+  router.get('/readyz', (req, res) => {
+    const checks = {
+      storage: storage.isReady(),
+      updates: isReceivingUpdates()
+    };
+    const ready = Object.values(checks).every(Boolean);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      checks,
+      ...(getPollerRole ? { role: getPollerRole() } : {}),
+      ...getBotActivity()
+    });
+  });
+
+  router.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  return router;
+};
+
+module.exports = {
+  createHealthRouter
+};
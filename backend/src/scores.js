@@ -0,0 +1,114 @@
+const { SORT_FIELDS, RANKED } = require('./models/user');
+const { LedgerEntry } = require('./models/ledger');
+const { getStorage } = require('./storage');
+
+// Rank of a score within a chat: 1 + the number of users strictly above it,
+// so users on the same score share a rank.
+const getRank = (chatId, creditScore) => {
+  return getStorage().countUsers(chatId, { above: creditScore }).then(count => count + 1);
+};
+
+// One page of a chat's leaderboard, with each user's rank attached
+const getLeaderboard = async (chatId, { offset = 0, limit = 10, sort = 'score', order = 'desc' } = {}) => {
+  const storage = getStorage();
+  const [users, total] = await Promise.all([
+    storage.listUsers(chatId, { offset, limit, sort, order }),
+    storage.countUsers(chatId)
+  ]);
+
+  const ranks = await Promise.all(users.map(user => getRank(chatId, user.creditScore)));
+  return {
+    total,
+    users: users.map((user, index) => ({ ...user, rank: ranks[index] }))
+  };
+};
+
+// A single user's score document with their rank (null if excluded from the
+// leaderboard), or null if unknown
+const getUserStanding = async (chatId, telegramId) => {
+  const storage = getStorage();
+  const user = await storage.findUser(chatId, telegramId);
+
+  if (!user) {
+    return null;
+  }
+
+  const [rank, total] = await Promise.all([
+    user.excluded ? null : getRank(chatId, user.creditScore),
+    storage.countUsers(chatId)
+  ]);
+  return { ...user, rank, total };
+};
+
+// Where a user falls in the score-sorted leaderboard, counting from 0, using
+// the same tie-breaks as getLeaderboard. Resolves with null if they aren't on
+// it.
+const getLeaderboardIndex = async (chatId, telegramId, { order = 'desc' } = {}) => {
+  const user = await getStorage().findUser(chatId, telegramId);
+  if (!user || user.excluded) {
+    return null;
+  }
+  return getStorage().countAhead(chatId, user, { order });
+};
+
+// Apply a score change to a user, creating them if needed and refreshing
+// their name, and record it in the ledger. Concurrent votes never overwrite
+// each other. Resolves with the updated user and the ledger entry.
+const applyScoreChange = change => getStorage().applyScoreChange(change);
+
+// The most recent ledger entries for a user in a chat, newest first
+const getHistory = (chatId, telegramId, limit = 10) => {
+  return LedgerEntry.find({
+    chatId: chatId.toString(),
+    targetId: telegramId.toString()
+  })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// A chat's ledger, newest first, optionally only entries before a date
+const getChatLedger = (chatId, { limit = 20, before } = {}) => {
+  const query = { chatId: chatId.toString() };
+  if (before) {
+    query.createdAt = { $lt: before };
+  }
+  return LedgerEntry.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// The net effect a voter's reaction has had on a message, and who it went
+// to, so removing the reaction can undo exactly what was applied
+const getReactionVote = async (chatId, messageId, voterId, emoji) => {
+  const entries = await LedgerEntry.find({
+    chatId: chatId.toString(),
+    messageId,
+    voterId: voterId.toString(),
+    source: 'reaction',
+    reaction: emoji
+  }, { targetId: 1, targetName: 1, delta: 1 }).lean();
+
+  if (entries.length === 0) {
+    return null;
+  }
+  return {
+    targetId: entries[0].targetId,
+    targetName: entries[0].targetName,
+    net: entries.reduce((sum, entry) => sum + entry.delta, 0)
+  };
+};
+
+module.exports = {
+  RANKED,
+  SORT_FIELDS,
+  getRank,
+  getLeaderboard,
+  getLeaderboardIndex,
+  getUserStanding,
+  applyScoreChange,
+  getHistory,
+  getChatLedger,
+  getReactionVote
+};
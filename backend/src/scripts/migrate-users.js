@@ -0,0 +1,97 @@
+// Merge the legacy per-chat `users_<chatId>` collections into the single
+// `users` collection. Safe to run more than once: documents that were already
+// migrated are skipped, and users that exist in both places with different
+// data are reported as conflicts and left untouched.
+//
+// Usage: node src/scripts/migrate-users.js [--drop]
+//   --drop  drop each legacy collection once all of its users are migrated
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connect } = require('../db');
+const { User, LEGACY_COLLECTION_PATTERN } = require('../models/user');
+
+const migrateCollection = async (name, chatId) => {
+  const report = { collection: name, inserted: 0, skipped: 0, conflicts: [] };
+  const legacyUsers = await mongoose.connection.db.collection(name).find().toArray();
+
+  for (const legacy of legacyUsers) {
+    const telegramId = String(legacy.telegramId);
+    const existing = await User.findOne({ telegramId, chatId }).lean();
+
+    if (!existing) {
+      await User.collection.insertOne({
+        telegramId,
+        chatId,
+        username: legacy.username || telegramId,
+        creditScore: legacy.creditScore || 0,
+        excluded: false,
+        migratedFrom: name,
+        createdAt: legacy.createdAt || new Date()
+      });
+      report.inserted++;
+      continue;
+    }
+
+    // Already migrated on an earlier run, or identical anyway
+    if (existing.migratedFrom === name || existing.creditScore === legacy.creditScore) {
+      report.skipped++;
+      continue;
+    }
+
+    report.conflicts.push({
+      telegramId,
+      username: existing.username,
+      legacyScore: legacy.creditScore,
+      currentScore: existing.creditScore
+    });
+  }
+
+  return report;
+};
+
+const main = async () => {
+  const drop = process.argv.includes('--drop');
+  await connect();
+  await User.init();
+
+  const collections = await mongoose.connection.db.listCollections({}, { nameOnly: true }).toArray();
+  const legacy = collections
+    .map(({ name }) => ({ name, match: LEGACY_COLLECTION_PATTERN.exec(name) }))
+    .filter(({ match }) => match);
+
+  if (legacy.length === 0) {
+    console.log('No legacy users_<chatId> collections found, nothing to migrate.');
+    return 0;
+  }
+
+  let conflictCount = 0;
+  for (const { name, match } of legacy) {
+    const report = await migrateCollection(name, match[1]);
+    conflictCount += report.conflicts.length;
+    console.log(`${name}: ${report.inserted} inserted, ${report.skipped} already migrated, ${report.conflicts.length} conflicts`);
+    report.conflicts.forEach((conflict) => {
+      console.log(`  conflict: ${conflict.username} (${conflict.telegramId}) has ${conflict.legacyScore} in ${name} but ${conflict.currentScore} in users`);
+    });
+
+    if (drop && report.conflicts.length === 0) {
+      await mongoose.connection.db.dropCollection(name);
+      console.log(`  dropped ${name}`);
+    }
+  }
+
+  if (conflictCount > 0) {
+    console.log(`\n${conflictCount} conflicts were left as they are in users. Correct any wrong scores with /setscore, then drop the legacy collections by hand.`);
+  }
+  return conflictCount > 0 ? 2 : 0;
+};
+
+main()
+  .then(async (code) => {
+    await mongoose.disconnect();
+    process.exit(code);
+  })
+  .catch(async (err) => {
+    console.error('Migration failed:', err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,226 @@
+// Replay recorded Telegram updates through the bot's real handlers without
+// talking to Telegram. Every API call the bot makes goes to a fake sink that
+// prints it, and the final scores of every chat are listed at the end.
+//
+// The input is a JSON array of updates, a getUpdates response or one update
+// per line. Updates are handled one at a time, each after the previous one
+// has finished.
+//
+// Usage: node src/scripts/simulate.js <updates.json> [--storage <mongo|file>] [--db <uri>] [--file <path>]
+//                                    [--admins <id,id>] [--keep] [--verbose]
+//   --storage where scores are kept, mongo by default
+//   --db      MongoDB to use, SIMULATOR_MONGODB_URI or a local database by default
+//   --file    JSON file to use with file storage, a temporary one by default
+//   --admins  user ids getChatMember reports as chat admins
+//   --keep    keep the storage's existing contents, which are otherwise wiped
+//   --verbose also show the bot's own log output, down to debug events
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const TelegramBot = require('node-telegram-bot-api');
+const { attachHandlers } = require('../handlers');
+const { openStorage } = require('../storage');
+const { setLevel } = require('../logger');
+
+const USAGE = 'Usage: node src/scripts/simulate.js <updates.json> [--storage <mongo|file>] [--db <uri>] [--file <path>] [--admins <id,id>] [--keep] [--verbose]';
+const DEFAULT_DB = 'mongodb://127.0.0.1:27017/fuel-credit-score-simulator';
+const DEFAULT_FILE = path.join(os.tmpdir(), 'fuel-credit-score-simulator.json');
+
+// The simulator's own output, which --verbose doesn't affect
+const print = line => process.stdout.write(`${line}\n`);
+
+const parseArgs = (argv) => {
+  const args = {
+    updates: null,
+    storage: 'mongo',
+    db: process.env.SIMULATOR_MONGODB_URI || DEFAULT_DB,
+    file: DEFAULT_FILE,
+    admins: [],
+    keep: false,
+    verbose: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--storage') args.storage = argv[++i];
+    else if (argv[i] === '--db') args.db = argv[++i];
+    else if (argv[i] === '--file') args.file = argv[++i];
+    else if (argv[i] === '--admins') args.admins = (argv[++i] || '').split(',').map(id => id.trim()).filter(Boolean);
+    else if (argv[i] === '--keep') args.keep = true;
+    else if (argv[i] === '--verbose') args.verbose = true;
+    else args.updates = argv[i];
+  }
+  return args;
+};
+
+const readUpdates = (file) => {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (text.startsWith('[') || text.startsWith('{"ok"')) {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : data.result;
+  }
+  return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+};
+
+const nameOf = user => (user ? user.first_name || user.username || user.id : 'someone');
+
+// One line describing an update
+const describeUpdate = (update) => {
+  if (update.message) {
+    const msg = update.message;
+    const content = msg.text
+      || (msg.sticker && `[sticker ${msg.sticker.emoji || ''}]`)
+      || (msg.document && `[file ${msg.document.file_name}]`)
+      || '[message]';
+    const reply = msg.reply_to_message ? ` (replying to ${nameOf(msg.reply_to_message.from)})` : '';
+    return `${nameOf(msg.from)} in ${msg.chat.id}: ${content}${reply}`;
+  }
+  if (update.message_reaction) {
+    const reaction = update.message_reaction;
+    const emojis = (reaction.new_reaction || []).map(r => r.emoji).join('') || 'no reaction';
+    return `${nameOf(reaction.user)} reacted ${emojis} to message ${reaction.message_id} in ${reaction.chat.id}`;
+  }
+  if (update.callback_query) {
+    return `${nameOf(update.callback_query.from)} pressed ${update.callback_query.data}`;
+  }
+  return `unhandled update: ${Object.keys(update).filter(key => key !== 'update_id').join(', ')}`;
+};
+
+// A bot whose API calls are printed instead of sent. Only the answers the
+// handlers rely on are faked.
+const createFakeBot = (admins) => {
+  const bot = new TelegramBot('simulator', { polling: false });
+  let nextMessageId = 1000000;
+
+  bot._request = async (method, options = {}) => {
+    const params = { ...options.qs, ...options.form };
+    const chat = params.chat_id !== undefined ? ` to ${params.chat_id}` : '';
+
+    if (method === 'getChatMember') {
+      const status = admins.includes(String(params.user_id)) ? 'administrator' : 'member';
+      return { status, user: { id: Number(params.user_id) } };
+    }
+    if (method === 'getFile') {
+      throw new Error('Files cannot be downloaded in the simulator');
+    }
+
+    if (method === 'sendDocument') {
+      const document = options.formData && options.formData.document;
+      print(`  → sendDocument${chat}: ${document && document.options ? document.options.filename : 'file'}`);
+    } else if (params.text !== undefined) {
+      print(`  → ${method}${chat}: ${params.text.split('\n').join('\n      ')}`);
+      if (params.reply_markup) {
+        const markup = typeof params.reply_markup === 'string' ? JSON.parse(params.reply_markup) : params.reply_markup;
+        const buttons = (markup.inline_keyboard || []).flat().map(button => `[${button.text}]`);
+        if (buttons.length) print(`      ${buttons.join(' ')}`);
+      }
+    } else if (method !== 'answerCallbackQuery') {
+      print(`  → ${method}${chat}`);
+    }
+
+    if (method === 'sendMessage' || method === 'sendDocument') {
+      return {
+        message_id: nextMessageId++,
+        chat: { id: Number(params.chat_id) },
+        date: Math.floor(Date.now() / 1000),
+        text: params.text
+      };
+    }
+    return true;
+  };
+
+  // Keep hold of what every handler returns so each update can be finished
+  // before the next one starts
+  const pending = new Set();
+  const track = callback => (...args) => {
+    const result = callback(...args);
+    if (result && typeof result.then === 'function') {
+      pending.add(result);
+      result.finally(() => pending.delete(result)).catch(() => {});
+    }
+    return result;
+  };
+  const onText = bot.onText.bind(bot);
+  const on = bot.on.bind(bot);
+  bot.onText = (regexp, callback) => onText(regexp, track(callback));
+  bot.on = (event, callback) => on(event, track(callback));
+
+  bot.settle = async () => {
+    while (pending.size > 0) {
+      await Promise.allSettled([...pending]);
+    }
+  };
+  return bot;
+};
+
+const printScores = async (storage) => {
+  const chatIds = await storage.listChatIds();
+  print('\nFinal scores');
+  if (chatIds.length === 0) {
+    print('  (nobody has a score)');
+  }
+  for (const chatId of chatIds) {
+    print(`  Chat ${chatId}`);
+    const users = await storage.listUsers(chatId, { limit: await storage.countUsers(chatId) });
+    users.forEach((user) => {
+      print(`    ${user.username} (${user.telegramId}): ${user.creditScore}`);
+    });
+  }
+};
+
+// Open the storage the replay uses, emptied unless --keep is given
+const openSimulatorStorage = async (args) => {
+  if (args.storage === 'file') {
+    if (!args.keep) {
+      fs.rmSync(args.file, { force: true });
+    }
+    return openStorage({ type: 'file', path: args.file });
+  }
+
+  const storage = await openStorage({ type: 'mongo', uri: args.db, retries: 0 });
+  if (!args.keep) {
+    await mongoose.connection.db.dropDatabase();
+  }
+  return storage;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.updates || !['mongo', 'file'].includes(args.storage)) {
+    console.error(USAGE);
+    return 1;
+  }
+  if (args.storage === 'mongo' && !args.keep && args.db === process.env.MONGODB_URI) {
+    console.error('Refusing to wipe the database in MONGODB_URI. Point --db at a scratch database.');
+    return 1;
+  }
+
+  const updates = readUpdates(args.updates);
+  // Only the bot's warnings and errors, unless asked for everything
+  setLevel(args.verbose ? 'debug' : 'warn');
+  const storage = await openSimulatorStorage(args);
+
+  const bot = createFakeBot(args.admins);
+  attachHandlers(bot);
+  bot.on('error', (err) => console.error('  ! bot error:', err.message));
+
+  for (const [index, update] of updates.entries()) {
+    print(`#${update.update_id || index + 1} ${describeUpdate(update)}`);
+    bot.processUpdate(update);
+    await bot.settle();
+  }
+
+  await printScores(storage);
+  await storage.close();
+  return 0;
+};
+
+main()
+  .then(async (code) => {
+    await mongoose.disconnect();
+    process.exit(code);
+  })
+  .catch(async (err) => {
+    console.error('Simulation failed:', err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
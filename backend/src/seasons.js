@@ -0,0 +1,176 @@
+const { Chat } = require('./models/chat');
+const { Season } = require('./models/season');
+const { User } = require('./models/user');
+const { applyScoreChange } = require('./scores');
+
+const SEASON_LENGTHS = ['weekly', 'monthly', 'manual'];
+
+// When a season that started at `startedAt` should end, or null if it only
+// ends with /newseason
+const computeSeasonEnd = (length, startedAt) => {
+  const end = new Date(startedAt);
+  if (length === 'weekly') {
+    end.setUTCDate(end.getUTCDate() + 7);
+    return end;
+  }
+  if (length === 'monthly') {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+    return end;
+  }
+  return null;
+};
+
+// The chat's season settings. Chats that never configured seasons are in a
+// manual season 1 that started when the bot first saw them.
+const getSeason = async (chatId) => {
+  const chat = await Chat.findOne({ chatId: chatId.toString() }, { season: 1, createdAt: 1 }).lean();
+  const season = (chat && chat.season) || {};
+  return {
+    length: season.length || 'manual',
+    carryOver: season.carryOver || 0,
+    number: season.number || 1,
+    startedAt: season.startedAt || (chat && chat.createdAt) || new Date(),
+    endsAt: season.endsAt || null
+  };
+};
+
+// Change how the chat's seasons roll over. The current season keeps its start
+// date; its end moves to match the new length. An end that has already passed
+// is counted from now instead, so configuring never ends a season at once.
+const configureSeason = async (chatId, { length, carryOver }) => {
+  const season = await getSeason(chatId);
+  const updated = {
+    ...season,
+    length: length || season.length,
+    carryOver: carryOver === undefined ? season.carryOver : carryOver
+  };
+  const now = new Date();
+  updated.endsAt = computeSeasonEnd(updated.length, updated.startedAt);
+  if (updated.endsAt && updated.endsAt <= now) {
+    // A season that was never configured only nominally started when the
+    // bot first saw the chat, so its schedule starts now
+    const configured = await Chat.exists({ chatId: chatId.toString(), 'season.startedAt': { $exists: true } });
+    if (!configured) {
+      updated.startedAt = now;
+    }
+    updated.endsAt = computeSeasonEnd(updated.length, now);
+  }
+
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { season: updated } },
+    { upsert: true }
+  );
+  return updated;
+};
+
+// Assign competition ranks (1, 2, 2, 4) to users sorted by score
+const rankStandings = (users) => {
+  let rank = 0;
+  return users.map((user, index) => {
+    if (index === 0 || user.creditScore !== users[index - 1].creditScore) {
+      rank = index + 1;
+    }
+    return {
+      telegramId: user.telegramId,
+      username: user.username,
+      creditScore: user.creditScore,
+      rank
+    };
+  });
+};
+
+// End the chat's current season: archive the final leaderboard, start the
+// next season and reset scores, keeping the configured carry-over percentage.
+// Resolves with the archived season, or null if another instance ended this
+// season first.
+const endSeason = async (chatId, expectedNumber) => {
+  const season = await getSeason(chatId);
+  if (expectedNumber !== undefined && season.number !== expectedNumber) {
+    return null;
+  }
+
+  // Claim the rollover atomically so a season is only ended once
+  const now = new Date();
+  const claimed = await Chat.findOneAndUpdate(
+    {
+      chatId: chatId.toString(),
+      $or: [{ 'season.number': season.number }, { season: { $exists: false } }]
+    },
+    {
+      $set: {
+        season: {
+          length: season.length,
+          carryOver: season.carryOver,
+          number: season.number + 1,
+          startedAt: now,
+          endsAt: computeSeasonEnd(season.length, now)
+        }
+      }
+    },
+    { upsert: false }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const users = await User.find({ chatId: chatId.toString() })
+    .sort({ creditScore: -1, createdAt: 1, telegramId: 1 })
+    .lean();
+
+  const archived = await Season.create({
+    chatId: chatId.toString(),
+    number: season.number,
+    startedAt: season.startedAt,
+    endedAt: now,
+    carryOver: season.carryOver,
+    standings: rankStandings(users.filter(user => !user.excluded))
+  });
+
+  for (const user of users) {
+    const carried = Math.round(user.creditScore * season.carryOver / 100);
+    if (carried === user.creditScore) {
+      continue;
+    }
+    await applyScoreChange({
+      chatId,
+      target: { id: user.telegramId, name: user.username },
+      delta: carried - user.creditScore,
+      source: 'season'
+    });
+  }
+
+  return archived;
+};
+
+// Chats whose scheduled season end has passed
+const getEndedSeasons = async () => {
+  const chats = await Chat.find(
+    { 'season.endsAt': { $lte: new Date() } },
+    { chatId: 1, 'season.number': 1 }
+  ).lean();
+  return chats.map(chat => ({ chatId: chat.chatId, number: chat.season.number }));
+};
+
+// A chat's archived seasons, most recent first
+const listSeasons = (chatId, { limit } = {}) => {
+  const query = Season.find({ chatId: chatId.toString() }).sort({ number: -1 });
+  if (limit) {
+    query.limit(limit);
+  }
+  return query.lean();
+};
+
+const getArchivedSeason = (chatId, number) => {
+  return Season.findOne({ chatId: chatId.toString(), number }).lean();
+};
+
+module.exports = {
+  SEASON_LENGTHS,
+  getSeason,
+  configureSeason,
+  endSeason,
+  getEndedSeasons,
+  listSeasons,
+  getArchivedSeason
+};
@@ -0,0 +1,123 @@
+const { User } = require('./models/user');
+const { LedgerEntry } = require('./models/ledger');
+const { RANKED, getUserStanding } = require('./scores');
+const { VOTE_SOURCES, BULK_SOURCES } = require('./trends');
+
+// Count votes by sign. A reversal undoes an earlier vote, so it takes one
+// away from the side that vote was on.
+const VOTE_COUNTS = {
+  positive: {
+    $sum: {
+      $switch: {
+        branches: [
+          { case: { $and: [{ $not: ['$reversal'] }, { $gt: ['$delta', 0] }] }, then: 1 },
+          { case: { $and: ['$reversal', { $lt: ['$delta', 0] }] }, then: -1 }
+        ],
+        default: 0
+      }
+    }
+  },
+  negative: {
+    $sum: {
+      $switch: {
+        branches: [
+          { case: { $and: [{ $not: ['$reversal'] }, { $lt: ['$delta', 0] }] }, then: 1 },
+          { case: { $and: ['$reversal', { $gt: ['$delta', 0] }] }, then: -1 }
+        ],
+        default: 0
+      }
+    }
+  }
+};
+
+const countVotes = async (match) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { ...match, source: { $in: VOTE_SOURCES } } },
+    { $group: { _id: null, ...VOTE_COUNTS } }
+  ]);
+  const positive = row ? row.positive : 0;
+  const negative = row ? row.negative : 0;
+  return { total: positive + negative, positive, negative };
+};
+
+// Net points each voter has given a user, most generous first
+const getVotersByNet = (chatId, telegramId) => {
+  return LedgerEntry.aggregate([
+    {
+      $match: {
+        chatId: chatId.toString(),
+        targetId: telegramId.toString(),
+        source: { $in: VOTE_SOURCES }
+      }
+    },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: '$voterId', points: { $sum: '$delta' }, username: { $last: '$voterName' } } },
+    { $sort: { points: -1, _id: 1 } }
+  ]);
+};
+
+// The UTC day a user's score moved furthest, either way. Season resets and
+// imports aren't counted.
+const getBiggestSwing = async (chatId, telegramId) => {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { chatId: chatId.toString(), targetId: telegramId.toString(), source: { $nin: BULK_SOURCES } } },
+    { $group: { _id: { $dateTrunc: { date: '$createdAt', unit: 'day' } }, change: { $sum: '$delta' } } },
+    { $match: { change: { $ne: 0 } } },
+    { $addFields: { size: { $abs: '$change' } } },
+    { $sort: { size: -1, _id: -1 } },
+    { $limit: 1 }
+  ]);
+  return row ? { day: row._id, change: row.change } : null;
+};
+
+// Percentile rank of a score among the chat's ranked users: the share
+// scoring below it, with ties counting half
+const getPercentile = async (chatId, creditScore, total) => {
+  const query = { chatId: chatId.toString(), ...RANKED };
+  const [below, tied] = await Promise.all([
+    User.countDocuments({ ...query, creditScore: { $lt: creditScore } }),
+    User.countDocuments({ ...query, creditScore })
+  ]);
+  return Math.round((100 * (below + tied / 2)) / total);
+};
+
+const toVoter = row => ({ telegramId: row._id, username: row.username, points: row.points });
+
+// Voting analytics for one user in a chat, or null if they have no score
+// there. Rank and percentile are null for users excluded from the leaderboard.
+const getUserStats = async (chatId, telegramId) => {
+  const standing = await getUserStanding(chatId, telegramId);
+  if (!standing) {
+    return null;
+  }
+
+  const [received, given, voters, biggestSwing, percentile] = await Promise.all([
+    countVotes({ chatId: chatId.toString(), targetId: telegramId.toString() }),
+    countVotes({ chatId: chatId.toString(), voterId: telegramId.toString() }),
+    getVotersByNet(chatId, telegramId),
+    getBiggestSwing(chatId, telegramId),
+    standing.rank === null ? null : getPercentile(chatId, standing.creditScore, standing.total)
+  ]);
+
+  const friend = voters.find(row => row.points > 0);
+  const nemesis = [...voters].reverse().find(row => row.points < 0);
+
+  return {
+    telegramId: standing.telegramId,
+    username: standing.username,
+    creditScore: standing.creditScore,
+    rank: standing.rank,
+    totalUsers: standing.total,
+    percentile,
+    received,
+    given,
+    bestFriend: friend ? toVoter(friend) : null,
+    nemesis: nemesis ? toVoter(nemesis) : null,
+    biggestSwing
+  };
+};
+
+module.exports = {
+  VOTE_COUNTS,
+  getUserStats
+};
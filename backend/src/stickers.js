@@ -0,0 +1,89 @@
+const { Chat } = require('./models/chat');
+const { getStorage } = require('./storage');
+
+// Stickers used by chats that have not configured their own with /setsticker
+const DEFAULT_STICKER_CREDITS = {
+  'CAACAgQAAxkBAAMJaC70UAGyYccTdJN7kWwcqpgD7ScAAnYZAAKd5PFQFEAlUp3q1aM2BA': 20,  // Add 20 points (👍)
+  'CAACAgQAAxkBAAMYaC71bUrHYlMTtCvKe7AJUTvccqsAAmwYAALVfPFQvaBMA18SdHI2BA': -20,  // Subtract 20 points (👎)
+  'CAACAgQAAyEFAASNsb1cAAEB1DxoR1ywgXya5nIdzlKZWFIuWMkFbgACdhkAAp3k8VAUQCVSnerVozYE': 20, // Add 20 points (👍 new)
+  'CAACAgQAAyEFAASNsb1cAAEB065oR0CEpiUng5nVfWQnyAb6230kngACbBgAAtV88VC9oEwDXxJ0cjYE': -20, // Subtract 20 points (👎 new)
+  'CAACAgQAAx0Cfqd5yAACmadoZlIcP3qkSXPuqLgRPgnOPmS8KQACdhkAAp3k8VAUQCVSnerVozYE': 20, // Add 20 points (👍 Rubyt0)
+  'CAACAgQAAxkBAAPSaGZViuWooIVcSeWRsZT5MirCHOwAAmwYAALVfPFQvaBMA18SdHI2BA': -20, // Subtract 20 points (👎 Rubyt0)
+  'CAACAgQAAx0Cfqd5yAACnVBog4HxT6GUSIpDDHvx0ate89LoZQACdhkAAp3k8VAUQCVSnerVozYE': 20, // Add 20 points (👍 new2)
+  'CAACAgQAAxkBAAPkaIaD-2u-9SBu4q2HhwjGVjuuc58AAmwYAALVfPFQvaBMA18SdHI2BA': -20, // Subtract 20 points (👎 new2)
+  'CAACAgQAAx0Cfqd5yAACoMhooJaz8n_PX8ChrE-idY0ll3H0-gACdhkAAp3k8VAUQCVSnerVozYE': 20, // Add 20 Points
+  'CAACAgQAAxkBAAPvaK77RUP8uR2E5e-2n85N4vSsQV0AAmwYAALVfPFQvaBMA18SdHI2BA': -20 // Substract 20 Points
+};
+
+// file_ids differ between chats, so a configured sticker also matches on
+// its file_unique_id or on the set name plus emoji
+const matchesSticker = (configured, sticker) => {
+  if (configured.fileUniqueId && configured.fileUniqueId === sticker.file_unique_id) return true;
+  if (configured.fileId && configured.fileId === sticker.file_id) return true;
+  return Boolean(configured.setName && configured.emoji
+    && configured.setName === sticker.set_name
+    && configured.emoji === sticker.emoji);
+};
+
+// The chat's configured vote stickers, or null if it still uses the defaults
+const getChatStickers = async (chatId) => {
+  const chat = await getStorage().getChat(chatId);
+  return chat && Array.isArray(chat.stickers) ? chat.stickers : null;
+};
+
+// How many credits a sticker is worth in a chat (0 if it is not a vote sticker)
+const getStickerCredits = async (chatId, sticker) => {
+  const stickers = await getChatStickers(chatId);
+  if (!stickers) {
+    return DEFAULT_STICKER_CREDITS[sticker.file_id] || 0;
+  }
+
+  const configured = stickers.find(entry => matchesSticker(entry, sticker));
+  return configured ? configured.credits : 0;
+};
+
+// Add a vote sticker to a chat, or change its value if it is already there
+const setSticker = async (chatId, sticker, credits, addedBy) => {
+  const stickers = (await getChatStickers(chatId)) || [];
+  const entry = {
+    fileId: sticker.file_id,
+    fileUniqueId: sticker.file_unique_id,
+    setName: sticker.set_name,
+    emoji: sticker.emoji,
+    credits,
+    addedBy: addedBy.toString(),
+    addedAt: new Date()
+  };
+
+  const updated = stickers.filter(existing => existing.fileUniqueId !== sticker.file_unique_id);
+  updated.push(entry);
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { stickers: updated } },
+    { upsert: true }
+  );
+  return entry;
+};
+
+// Remove a vote sticker from a chat. Resolves with whether it was configured.
+const unsetSticker = async (chatId, sticker) => {
+  const stickers = (await getChatStickers(chatId)) || [];
+  const updated = stickers.filter(existing => !matchesSticker(existing, sticker));
+  if (updated.length === stickers.length) {
+    return false;
+  }
+
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { stickers: updated } }
+  );
+  return true;
+};
+
+module.exports = {
+  DEFAULT_STICKER_CREDITS,
+  getChatStickers,
+  getStickerCredits,
+  setSticker,
+  unsetSticker
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SORT_FIELDS } = require('../models/user');
+const { DAY_MS, VOTE_SOURCES, BULK_SOURCES } = require('../trends');
+const { logger } = require('../logger');
+
+// Scores, the ledger and chat settings in a single JSON file, for small
+// self-hosted groups without a database server. Everything is kept in memory
+// and the whole file is rewritten after each change.
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'credit-score.json');
+
+// Fields stored as ISO strings that are read back as dates
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'votingMutedUntil', 'addedAt', 'startedAt', 'endsAt'];
+
+const emptyData = () => ({ chats: {}, users: {}, ledger: {} });
+
+let file = null;
+let loading = null;
+let loaded = false;
+
+// Writes never overlap, and changes made while one is waiting go out with it
+let writing = Promise.resolve();
+let queued = null;
+
+const reviveDates = (key, value) => (DATE_FIELDS.includes(key) && typeof value === 'string' ? new Date(value) : value);
+
+const load = async () => {
+  try {
+    return { ...emptyData(), ...JSON.parse(await fs.promises.readFile(file, 'utf8'), reviveDates) };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return emptyData();
+    }
+    throw err;
+  }
+};
+
+// Resolves with the data once the file has been read
+const state = () => {
+  if (!loading) {
+    return Promise.reject(new Error('File storage is not open'));
+  }
+  return loading;
+};
+
+const writeFile = async () => {
+  const data = await state();
+  const temporary = `${file}.tmp`;
+  await fs.promises.writeFile(temporary, JSON.stringify(data));
+  await fs.promises.rename(temporary, file);
+};
+
+const save = () => {
+  if (!queued) {
+    queued = writing.then(() => {
+      queued = null;
+      return writeFile();
+    });
+    writing = queued.catch(() => {});
+  }
+  return queued;
+};
+
+const open = async ({ path: filePath } = {}) => {
+  file = path.resolve(filePath || process.env.STORAGE_FILE || DEFAULT_FILE);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  loading = load();
+  await loading;
+  loaded = true;
+  logger.info('Using file storage', { file });
+};
+
+const close = () => writing;
+
+const isReady = () => loaded;
+
+const chatUsers = (data, chatId) => {
+  if (!data.users[chatId]) {
+    data.users[chatId] = {};
+  }
+  return data.users[chatId];
+};
+
+const chatLedger = (data, chatId) => {
+  if (!data.ledger[chatId]) {
+    data.ledger[chatId] = [];
+  }
+  return data.ledger[chatId];
+};
+
+const copy = value => (value ? { ...value } : null);
+
+const ranked = (data, chatId) => Object.values(data.users[chatId.toString()] || {}).filter(user => !user.excluded);
+
+const getChat = async (chatId) => copy((await state()).chats[chatId.toString()]);
+
+const touchChat = async (chat) => {
+  const data = await state();
+  const chatId = chat.id.toString();
+  data.chats[chatId] = {
+    createdAt: new Date(),
+    ...data.chats[chatId],
+    chatId,
+    title: chat.title || chat.first_name || chat.username,
+    type: chat.type,
+    updatedAt: new Date()
+  };
+  await save();
+};
+
+const listChatIds = async () => Object.keys((await state()).users);
+
+const findUser = async (chatId, telegramId) => {
+  const data = await state();
+  return copy((data.users[chatId.toString()] || {})[telegramId.toString()]);
+};
+
+const findUserByHandle = async (chatId, handle) => {
+  const data = await state();
+  const wanted = handle.toLowerCase();
+  return copy(Object.values(data.users[chatId.toString()] || {})
+    .find(user => user.telegramUsername && user.telegramUsername.toLowerCase() === wanted));
+};
+
+const newUser = (chatId, telegramId, username) => ({
+  telegramId: telegramId.toString(),
+  chatId: chatId.toString(),
+  username,
+  creditScore: 0,
+  excluded: false,
+  createdAt: new Date()
+});
+
+const createUser = async (chatId, { id, name, handle }) => {
+  const data = await state();
+  const users = chatUsers(data, chatId.toString());
+  if (users[id.toString()]) {
+    return { user: copy(users[id.toString()]), created: false };
+  }
+
+  users[id.toString()] = { ...newUser(chatId, id, name), ...(handle ? { telegramUsername: handle } : {}) };
+  await save();
+  return { user: copy(users[id.toString()]), created: true };
+};
+
+const syncMember = async (chatId, { id, name, handle }) => {
+  const data = await state();
+  const user = (data.users[chatId.toString()] || {})[id.toString()];
+  if (!user || (user.username === name && user.telegramUsername === handle)) {
+    return;
+  }
+
+  user.username = name;
+  if (handle) {
+    user.telegramUsername = handle;
+  } else {
+    delete user.telegramUsername;
+  }
+  await save();
+};
+
+const countUsers = async (chatId, { above } = {}) => {
+  const users = ranked(await state(), chatId);
+  return above === undefined ? users.length : users.filter(user => user.creditScore > above).length;
+};
+
+// Orders users like the MongoDB backend's sort: by the field, then who
+// joined first, then by id
+const compareUsers = (field, direction) => (a, b) => {
+  if (a[field] < b[field]) return -direction;
+  if (a[field] > b[field]) return direction;
+  if (a.createdAt - b.createdAt !== 0) return a.createdAt - b.createdAt;
+  if (a.telegramId < b.telegramId) return -1;
+  return a.telegramId > b.telegramId ? 1 : 0;
+};
+
+const listUsers = async (chatId, { offset = 0, limit = 10, sort = 'score', order = 'desc' } = {}) => {
+  return ranked(await state(), chatId)
+    .sort(compareUsers(SORT_FIELDS[sort], order === 'asc' ? 1 : -1))
+    .slice(offset, offset + limit)
+    .map(copy);
+};
+
+const countAhead = async (chatId, user, { order = 'desc' } = {}) => {
+  const compare = compareUsers('creditScore', order === 'asc' ? 1 : -1);
+  return ranked(await state(), chatId).filter(other => compare(other, user) < 0).length;
+};
+
+const applyScoreChange = async ({ chatId, target, voter, delta, rawDelta, weight, source, messageId, stickerId, reaction, reason, reversal = false }) => {
+  const data = await state();
+  const users = chatUsers(data, chatId.toString());
+  const stored = users[target.id.toString()] || newUser(chatId, target.id, target.name);
+  const scoreBefore = stored.creditScore;
+
+  stored.creditScore += delta;
+  stored.username = target.name;
+  users[target.id.toString()] = stored;
+
+  const entry = Object.fromEntries(Object.entries({
+    _id: crypto.randomBytes(12).toString('hex'),
+    chatId: chatId.toString(),
+    targetId: target.id.toString(),
+    targetName: target.name,
+    voterId: voter ? voter.id.toString() : undefined,
+    voterName: voter ? voter.name : undefined,
+    delta,
+    rawDelta,
+    weight,
+    scoreBefore,
+    scoreAfter: stored.creditScore,
+    source,
+    messageId,
+    stickerId,
+    reaction,
+    reason,
+    reversal,
+    createdAt: new Date()
+  }).filter(([, value]) => value !== undefined));
+  chatLedger(data, chatId.toString()).push(entry);
+
+  await save();
+  return { user: copy(stored), entry: copy(entry) };
+};
+
+const matchesVote = ({ voterId, targetId, messageId, reversal, since }) => entry => VOTE_SOURCES.includes(entry.source)
+  && (voterId === undefined || entry.voterId === voterId.toString())
+  && (targetId === undefined || entry.targetId === targetId.toString())
+  && (messageId === undefined || entry.messageId === messageId)
+  && (reversal === undefined || entry.reversal === reversal)
+  && (!since || entry.createdAt >= since);
+
+// Entries are appended as they happen, so the ledger is already oldest first
+const findVotes = async (chatId, filter, { limit } = {}) => {
+  const votes = ((await state()).ledger[chatId.toString()] || []).filter(matchesVote(filter));
+  return (limit ? votes.slice(0, limit) : votes).map(copy);
+};
+
+const countVotes = async (chatId, filter) => (await findVotes(chatId, filter)).length;
+
+const getNetChanges = async (chatId, { since = new Date(Date.now() - 7 * DAY_MS) } = {}) => {
+  const data = await state();
+  const users = data.users[chatId.toString()] || {};
+  const totals = new Map();
+  (data.ledger[chatId.toString()] || [])
+    .filter(entry => entry.createdAt >= since && !BULK_SOURCES.includes(entry.source))
+    .filter(entry => !(users[entry.targetId] && users[entry.targetId].excluded))
+    .forEach((entry) => {
+      const total = totals.get(entry.targetId) || { change: 0 };
+      totals.set(entry.targetId, { change: total.change + entry.delta, username: entry.targetName });
+    });
+
+  return [...totals.entries()]
+    .filter(([, total]) => total.change !== 0)
+    .map(([telegramId, total]) => ({
+      telegramId,
+      // Prefer the names users have now over the ones recorded with their votes
+      username: users[telegramId] ? users[telegramId].username : total.username,
+      change: total.change
+    }))
+    .sort((a, b) => b.change - a.change || (a.telegramId < b.telegramId ? -1 : 1));
+};
+
+module.exports = {
+  name: 'file',
+  complete: false,
+  open,
+  close,
+  isReady,
+  getChat,
+  touchChat,
+  listChatIds,
+  findUser,
+  findUserByHandle,
+  createUser,
+  syncMember,
+  countUsers,
+  listUsers,
+  countAhead,
+  applyScoreChange,
+  findVotes,
+  countVotes,
+  getNetChanges
+};
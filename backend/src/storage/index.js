@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Where scores are kept, picked with STORAGE: 'mongo' (the default) or
+// 'file' for a local JSON file. Every backend offers the same operations,
+// which cover registering, looking up scores, the leaderboards and voting:
+//
+//   open(options) / close()
+//   isReady()                             whether it is open and reachable
+//   getChat(chatId)                       the chat's settings, or null
+//   touchChat(chat)                       record a chat's title and type
+//   listChatIds()
+//   findUser(chatId, telegramId)          a user's score, or null
+//   findUserByHandle(chatId, handle)      the same, by @username
+//   createUser(chatId, member)            resolves with { user, created }
+//   syncMember(chatId, member)            refresh an existing user's names
+//   countUsers(chatId, { above })         users on the leaderboard, optionally
+//                                         only those scoring above a score
+//   listUsers(chatId, { offset, limit, sort, order })
+//   countAhead(chatId, user, { order })   users before someone on the leaderboard
+//   applyScoreChange(change)              resolves with { user, entry }
+//   findVotes(chatId, filter, { limit })  votes in the ledger, oldest first
+//   countVotes(chatId, filter)
+//   getNetChanges(chatId, { since })      net change per user, biggest gain first
+//
+// A member is { id, name, handle }. Vote filters take any of voterId,
+// targetId, messageId, reversal and since. Backends with `complete` unset
+// only support these; the rest of the bot and the dashboard need MongoDB.
+const BACKENDS = {
+  mongo: () => require('./mongo'),
+  file: () => require('./file')
+};
+
+let storage = null;
+
+const loadBackend = (type) => {
+  if (!BACKENDS[type]) {
+    throw new Error(`Unknown STORAGE "${type}", expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return BACKENDS[type]();
+};
+
+// The configured backend. It still has to be opened before use.
+const getStorage = () => {
+  if (!storage) {
+    storage = loadBackend(process.env.STORAGE || 'mongo');
+  }
+  return storage;
+};
+
+// Open a backend, the configured one unless options.type says otherwise, and
+// use it from then on
+const openStorage = async ({ type, ...options } = {}) => {
+  storage = type ? loadBackend(type) : getStorage();
+  if (!storage.complete) {
+    // Anything still going straight to MongoDB should fail at once rather
+    // than wait for a connection that is never made
+    mongoose.set('bufferCommands', false);
+  }
+  await storage.open(options);
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+  openStorage
+};
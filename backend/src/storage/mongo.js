@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { keepConnected } = require('../db');
+const { User, SORT_FIELDS, RANKED, listChatIds } = require('../models/user');
+const { LedgerEntry } = require('../models/ledger');
+const { Chat, touchChat } = require('../models/chat');
+const { VOTE_SOURCES, getNetChanges } = require('../trends');
+
+// Scores, the ledger and chat settings in MongoDB. Everything outside the
+// storage interface (the dashboard's API, seasons, the admin tools) also
+// uses these collections directly.
+
+const open = ({ uri, retries } = {}) => keepConnected(uri, retries);
+
+const close = () => mongoose.disconnect();
+
+const isReady = () => mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+
+const getChat = (chatId) => Chat.findOne({ chatId: chatId.toString() }).lean();
+
+const findUser = (chatId, telegramId) => {
+  return User.findOne({ telegramId: telegramId.toString(), chatId: chatId.toString() }).lean();
+};
+
+// Usernames are matched case-insensitively, like Telegram does
+const findUserByHandle = (chatId, handle) => {
+  const escaped = handle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return User.findOne({ chatId: chatId.toString(), telegramUsername: new RegExp(`^${escaped}$`, 'i') }).lean();
+};
+
+const createUser = async (chatId, { id, name, handle }) => {
+  const before = await User.findOneAndUpdate(
+    { telegramId: id.toString(), chatId: chatId.toString() },
+    { $setOnInsert: { username: name, telegramUsername: handle, creditScore: 0 } },
+    { upsert: true, new: false, setDefaultsOnInsert: true }
+  ).lean();
+  return before
+    ? { user: before, created: false }
+    : { user: await findUser(chatId, id), created: true };
+};
+
+const syncMember = (chatId, { id, name, handle }) => {
+  const update = handle
+    ? { $set: { username: name, telegramUsername: handle } }
+    : { $set: { username: name }, $unset: { telegramUsername: 1 } };
+
+  return User.updateOne(
+    {
+      telegramId: id.toString(),
+      chatId: chatId.toString(),
+      $or: [{ username: { $ne: name } }, { telegramUsername: { $ne: handle || null } }]
+    },
+    update
+  );
+};
+
+const countUsers = (chatId, { above } = {}) => {
+  return User.countDocuments({
+    chatId: chatId.toString(),
+    ...RANKED,
+    ...(above === undefined ? {} : { creditScore: { $gt: above } })
+  });
+};
+
+const listUsers = (chatId, { offset = 0, limit = 10, sort = 'score', order = 'desc' } = {}) => {
+  return User.find({ chatId: chatId.toString(), ...RANKED })
+    .sort({ [SORT_FIELDS[sort]]: order === 'asc' ? 1 : -1, createdAt: 1, telegramId: 1 })
+    .skip(offset)
+    .limit(limit)
+    .lean();
+};
+
+const countAhead = (chatId, user, { order = 'desc' } = {}) => {
+  const ahead = order === 'asc' ? '$lt' : '$gt';
+  return User.countDocuments({
+    chatId: chatId.toString(),
+    ...RANKED,
+    $or: [
+      { creditScore: { [ahead]: user.creditScore } },
+      { creditScore: user.creditScore, createdAt: { $lt: user.createdAt } },
+      { creditScore: user.creditScore, createdAt: user.createdAt, telegramId: { $lt: user.telegramId } }
+    ]
+  });
+};
+
+// The increment is atomic so concurrent votes never overwrite each other
+const applyScoreChange = async ({ chatId, target, voter, delta, rawDelta, weight, source, messageId, stickerId, reaction, reason, reversal = false }) => {
+  const before = await User.findOneAndUpdate(
+    { telegramId: target.id.toString(), chatId: chatId.toString() },
+    {
+      $inc: { creditScore: delta },
+      $set: { username: target.name }
+    },
+    { upsert: true, new: false, setDefaultsOnInsert: true }
+  ).lean();
+
+  const scoreBefore = before ? before.creditScore : 0;
+  const user = {
+    ...(before || { telegramId: target.id.toString(), chatId: chatId.toString() }),
+    username: target.name,
+    creditScore: scoreBefore + delta
+  };
+
+  const entry = await LedgerEntry.create({
+    chatId: chatId.toString(),
+    targetId: target.id.toString(),
+    targetName: user.username,
+    voterId: voter ? voter.id.toString() : undefined,
+    voterName: voter ? voter.name : undefined,
+    delta,
+    rawDelta,
+    weight,
+    scoreBefore,
+    scoreAfter: user.creditScore,
+    source,
+    messageId,
+    stickerId,
+    reaction,
+    reason,
+    reversal
+  });
+
+  return { user, entry: entry.toObject() };
+};
+
+const voteQuery = (chatId, { voterId, targetId, messageId, reversal, since }) => {
+  const query = { chatId: chatId.toString(), source: { $in: VOTE_SOURCES } };
+  if (voterId !== undefined) query.voterId = voterId.toString();
+  if (targetId !== undefined) query.targetId = targetId.toString();
+  if (messageId !== undefined) query.messageId = messageId;
+  if (reversal !== undefined) query.reversal = reversal;
+  if (since) query.createdAt = { $gte: since };
+  return query;
+};
+
+const findVotes = (chatId, filter, { limit } = {}) => {
+  const query = LedgerEntry.find(voteQuery(chatId, filter)).sort({ createdAt: 1 });
+  return (limit ? query.limit(limit) : query).lean();
+};
+
+const countVotes = (chatId, filter) => LedgerEntry.countDocuments(voteQuery(chatId, filter));
+
+module.exports = {
+  name: 'mongo',
+  complete: true,
+  open,
+  close,
+  isReady,
+  getChat,
+  touchChat,
+  listChatIds,
+  findUser,
+  findUserByHandle,
+  createUser,
+  syncMember,
+  countUsers,
+  listUsers,
+  countAhead,
+  applyScoreChange,
+  findVotes,
+  countVotes,
+  getNetChanges
+};
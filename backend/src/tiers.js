@@ -0,0 +1,93 @@
+const { Chat } = require('./models/chat');
+const { getStorage } = require('./storage');
+
+// Built-in tiers, best first. Their names and comments come from the
+// message catalog, under tiers.<key> and tiers.<key>Comment.
+const DEFAULT_TIERS = [
+  { min: 101, emoji: '🏅', key: 'champion' },
+  { min: 51, emoji: '🥇', key: 'gold' },
+  { min: 1, emoji: '🎯', key: 'citizen' },
+  { min: -50, emoji: '😅', key: 'struggling' },
+  { min: -51, emoji: '⚠️', key: 'watched' }
+];
+
+// Give built-in tiers their names in the chat's language
+const resolveTier = (tier, t) => (tier.key
+  ? { min: tier.min, emoji: tier.emoji, name: t(`tiers.${tier.key}`), comment: t(`tiers.${tier.key}Comment`) }
+  : tier);
+
+// The chat's tiers, best first, or null if it uses the built-in ones
+const getChatTiers = async (chatId) => {
+  const chat = await getStorage().getChat(chatId);
+  return chat && Array.isArray(chat.tiers) ? [...chat.tiers].sort((a, b) => b.min - a.min) : null;
+};
+
+// The tiers that apply in a chat, resolved for its language
+const getTiers = async (chatId, t) => {
+  const tiers = (await getChatTiers(chatId)) || DEFAULT_TIERS;
+  return tiers.map(tier => resolveTier(tier, t));
+};
+
+// The best tier a score reaches. The lowest tier also covers every score
+// below it.
+const getTier = (tiers, score) => tiers.find(tier => score >= tier.min) || tiers[tiers.length - 1];
+
+// The emoji and one-line comment for a score, with the podium getting its own
+// lines whatever their tier
+const describeScore = (tiers, score, position, t) => {
+  const tier = getTier(tiers, score);
+  const podium = ['first', 'second', 'third'][position - 1];
+  const comment = podium ? t(`tiers.${podium}`) : (tier.comment || t('tiers.comment', { name: tier.name }));
+  return { emoji: tier.emoji, name: tier.name, comment };
+};
+
+const saveTiers = (chatId, tiers) => {
+  return Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { tiers } },
+    { upsert: true }
+  );
+};
+
+// Add or replace the tier starting at a score. The first change copies the
+// built-in tiers, in the chat's language, so they can be edited.
+const setTier = async (chatId, tier, t) => {
+  const tiers = (await getChatTiers(chatId)) || DEFAULT_TIERS.map(builtIn => resolveTier(builtIn, t));
+  const updated = tiers.filter(existing => existing.min !== tier.min);
+  updated.push(tier);
+  await saveTiers(chatId, updated);
+  return tier;
+};
+
+// Remove the tier starting at a score. Resolves with whether there was one.
+// Removing the last tier goes back to the built-in ones.
+const unsetTier = async (chatId, min, t) => {
+  const tiers = (await getChatTiers(chatId)) || DEFAULT_TIERS.map(builtIn => resolveTier(builtIn, t));
+  const updated = tiers.filter(existing => existing.min !== min);
+  if (updated.length === tiers.length) {
+    return false;
+  }
+
+  if (updated.length === 0) {
+    await resetTiers(chatId);
+  } else {
+    await saveTiers(chatId, updated);
+  }
+  return true;
+};
+
+// Go back to the built-in tiers
+const resetTiers = (chatId) => {
+  return Chat.updateOne({ chatId: chatId.toString() }, { $unset: { tiers: 1 } });
+};
+
+module.exports = {
+  DEFAULT_TIERS,
+  getChatTiers,
+  getTiers,
+  getTier,
+  describeScore,
+  setTier,
+  unsetTier,
+  resetTiers
+};
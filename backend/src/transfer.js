@@ -0,0 +1,337 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User } = require('./models/user');
+const { LEDGER_SOURCES, LedgerEntry } = require('./models/ledger');
+const { applyScoreChange } = require('./scores');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Columns of the users CSV, and the other headers accepted for each of them
+// when importing a spreadsheet
+const CSV_COLUMNS = {
+  telegramId: ['telegramid', 'id', 'userid', 'user_id'],
+  username: ['username', 'name'],
+  creditScore: ['creditscore', 'score', 'credits', 'points'],
+  createdAt: ['createdat', 'joined', 'joinedat']
+};
+
+const LEDGER_FIELDS = [
+  'targetId', 'targetName', 'voterId', 'voterName', 'delta', 'rawDelta', 'weight',
+  'scoreBefore', 'scoreAfter', 'source', 'messageId', 'stickerId', 'reaction', 'reason', 'reversal', 'createdAt'
+];
+
+// Every user in a chat and its whole ledger, oldest entry first
+const exportChat = async (chatId) => {
+  const [users, ledger] = await Promise.all([
+    User.find({ chatId: chatId.toString() }).sort({ createdAt: 1, telegramId: 1 }).lean(),
+    LedgerEntry.find({ chatId: chatId.toString() }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  return {
+    chatId: chatId.toString(),
+    exportedAt: new Date(),
+    users: users.map(user => ({
+      telegramId: user.telegramId,
+      username: user.username,
+      telegramUsername: user.telegramUsername,
+      creditScore: user.creditScore,
+      excluded: user.excluded,
+      createdAt: user.createdAt
+    })),
+    ledger: ledger.map(entry => ({
+      id: entry._id.toString(),
+      ...Object.fromEntries(LEDGER_FIELDS.map(field => [field, entry[field]]))
+    }))
+  };
+};
+
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The users of an export as CSV, one row per user
+const usersToCsv = (users) => {
+  const columns = Object.keys(CSV_COLUMNS);
+  const rows = users.map(user => columns.map(column => csvField(
+    user[column] instanceof Date ? user[column].toISOString() : user[column]
+  )).join(','));
+  return `${[columns.join(','), ...rows].join('\r\n')}\r\n`;
+};
+
+// Split CSV text into rows of fields, honouring quoted fields
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// A user row from an import, or null if it has no usable id or score
+const toImportUser = (raw) => {
+  const telegramId = String(raw.telegramId === undefined || raw.telegramId === null ? '' : raw.telegramId).trim();
+  const score = raw.creditScore === undefined || raw.creditScore === null ? '' : String(raw.creditScore).trim();
+  const creditScore = score === '' ? NaN : Number(score);
+  if (!/^\d+$/.test(telegramId) || !Number.isInteger(creditScore)) {
+    return null;
+  }
+
+  const createdAt = raw.createdAt ? new Date(raw.createdAt) : null;
+  const username = raw.username ? String(raw.username).trim() : '';
+  return {
+    telegramId,
+    username: username || undefined,
+    telegramUsername: raw.telegramUsername ? String(raw.telegramUsername).replace(/^@/, '') : undefined,
+    creditScore,
+    excluded: raw.excluded === true || raw.excluded === 'true',
+    createdAt: createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : undefined
+  };
+};
+
+// A ledger entry from a JSON import, or null if it's incomplete
+const toImportEntry = (raw) => {
+  const numbers = ['delta', 'scoreBefore', 'scoreAfter'].every(field => Number.isFinite(raw[field]));
+  const createdAt = new Date(raw.createdAt);
+  if (!raw.targetId || !numbers || !LEDGER_SOURCES.includes(raw.source) || Number.isNaN(createdAt.getTime())) {
+    return null;
+  }
+
+  const entry = Object.fromEntries(LEDGER_FIELDS
+    .filter(field => raw[field] !== undefined && raw[field] !== null)
+    .map(field => [field, raw[field]]));
+  return {
+    ...entry,
+    // Keep the exported id so importing the same file twice adds nothing
+    ...(/^[0-9a-f]{24}$/i.test(raw.id) ? { _id: new mongoose.Types.ObjectId(raw.id) } : {}),
+    targetId: String(raw.targetId),
+    voterId: raw.voterId ? String(raw.voterId) : undefined,
+    createdAt
+  };
+};
+
+const parseCsvImport = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return null;
+  }
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS)
+    .map(([column, aliases]) => [column, names.findIndex(name => aliases.includes(name))]));
+  if (columns.telegramId === -1 || columns.creditScore === -1) {
+    return null;
+  }
+
+  return {
+    users: rows.map(fields => Object.fromEntries(Object.entries(columns)
+      .filter(([, index]) => index !== -1)
+      .map(([column, index]) => [column, fields[index]]))),
+    ledger: []
+  };
+};
+
+// Read an export (ours, or a plain array of users) or a spreadsheet CSV with
+// at least an id and a score column. Returns the valid users and ledger
+// entries and how many rows were skipped, or null if the file isn't in a
+// format we know.
+const parseImport = (content, filename = '') => {
+  const text = content.replace(/^\uFEFF/, '');
+  let raw;
+  if (/\.json$/i.test(filename) || /^\s*[[{]/.test(text)) {
+    try {
+      const data = JSON.parse(text);
+      raw = Array.isArray(data) ? { users: data, ledger: [] } : data;
+    } catch (err) {
+      return null;
+    }
+    if (!raw || !Array.isArray(raw.users)) {
+      return null;
+    }
+  } else {
+    raw = parseCsvImport(text);
+    if (!raw) {
+      return null;
+    }
+  }
+
+  const users = new Map();
+  let skipped = 0;
+  raw.users.forEach((row) => {
+    const user = row && toImportUser(row);
+    if (user) {
+      users.set(user.telegramId, user);
+    } else {
+      skipped++;
+    }
+  });
+
+  const ledger = [];
+  (Array.isArray(raw.ledger) ? raw.ledger : []).forEach((row) => {
+    const entry = row && toImportEntry(row);
+    if (entry) {
+      ledger.push(entry);
+    } else {
+      skipped++;
+    }
+  });
+
+  return { users: [...users.values()], ledger, skipped };
+};
+
+// The id an imported entry gets in a chat whose ledger doesn't have it when
+// another chat does, e.g. the chat it was exported from. It is derived from
+// the chat, so importing the same file into it twice still adds nothing, and
+// keeps the original id's timestamp.
+const chatEntryId = (chatId, id) => {
+  const hash = crypto.createHash('sha1').update(`${chatId}:${id}`).digest();
+  return new mongoose.Types.ObjectId(Buffer.concat([Buffer.from(id.toString().slice(0, 8), 'hex'), hash.subarray(0, 8)]));
+};
+
+// What importing would change in a chat: users added, scores changed or
+// already matching, and ledger entries not yet in the chat
+const planImport = async (chatId, data) => {
+  const existing = await User.find({
+    chatId: chatId.toString(),
+    telegramId: { $in: data.users.map(user => user.telegramId) }
+  }).lean();
+  const byId = new Map(existing.map(user => [user.telegramId, user]));
+
+  const ids = data.ledger.filter(entry => entry._id).map(entry => entry._id);
+  const derivedIds = new Map(ids.map(id => [id.toString(), chatEntryId(chatId, id)]));
+  const known = await LedgerEntry.find({ _id: { $in: [...ids, ...derivedIds.values()] } }, { _id: 1, chatId: 1 }).lean();
+  const idsIn = inChat => new Set(known
+    .filter(entry => (entry.chatId === chatId.toString()) === inChat)
+    .map(entry => entry._id.toString()));
+  const chatIds = idsIn(true);
+  const otherIds = idsIn(false);
+  const isNew = (entry) => {
+    const id = entry._id && entry._id.toString();
+    return !id || (!chatIds.has(id) && !chatIds.has(derivedIds.get(id).toString()));
+  };
+  const inChatId = entry => (entry._id && otherIds.has(entry._id.toString())
+    ? { ...entry, _id: derivedIds.get(entry._id.toString()) }
+    : entry);
+
+  const added = data.users.filter(user => !byId.has(user.telegramId));
+  const changed = data.users.filter(user => byId.has(user.telegramId) && byId.get(user.telegramId).creditScore !== user.creditScore);
+  return {
+    added,
+    changed,
+    unchanged: data.users.length - added.length - changed.length,
+    ledger: data.ledger.filter(isNew).map(inChatId),
+    skipped: data.skipped,
+    current: byId
+  };
+};
+
+const summarize = plan => ({
+  added: plan.added.length,
+  changed: plan.changed.length,
+  unchanged: plan.unchanged,
+  ledger: plan.ledger.length,
+  skipped: plan.skipped
+});
+
+// Counts for a dry run of an import
+const previewImport = async (chatId, data) => summarize(await planImport(chatId, data));
+
+// Merge an import into a chat. New users are created with their join date,
+// missing ledger entries are added, and every score that differs is set to
+// the imported one. The added entries account for part of the change; an
+// 'import' ledger entry records whatever they don't, so the ledger still adds
+// up to the score. Users missing from the import are left alone. Resolves
+// with the same counts as previewImport.
+const applyImport = async (chatId, data, admin, reason) => {
+  const plan = await planImport(chatId, data);
+
+  for (const user of plan.added) {
+    await User.updateOne(
+      { telegramId: user.telegramId, chatId: chatId.toString() },
+      {
+        $setOnInsert: {
+          username: user.username || user.telegramId,
+          telegramUsername: user.telegramUsername,
+          creditScore: 0,
+          excluded: user.excluded,
+          createdAt: user.createdAt || new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  if (plan.ledger.length > 0) {
+    await LedgerEntry.insertMany(plan.ledger.map(entry => ({ ...entry, chatId: chatId.toString() })));
+  }
+
+  const recorded = new Map();
+  plan.ledger.forEach((entry) => {
+    recorded.set(entry.targetId, (recorded.get(entry.targetId) || 0) + entry.delta);
+  });
+
+  for (const user of data.users) {
+    const current = plan.current.get(user.telegramId);
+    const before = current ? current.creditScore : 0;
+    const imported = recorded.get(user.telegramId) || 0;
+    const unrecorded = user.creditScore - before - imported;
+
+    if (imported !== 0) {
+      await User.updateOne(
+        { telegramId: user.telegramId, chatId: chatId.toString() },
+        { $inc: { creditScore: imported } }
+      );
+    }
+    if (unrecorded !== 0) {
+      await applyScoreChange({
+        chatId,
+        target: { id: user.telegramId, name: current ? current.username : (user.username || user.telegramId) },
+        voter: admin,
+        delta: unrecorded,
+        source: 'import',
+        reason
+      });
+    }
+  }
+
+  return summarize(plan);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportChat,
+  usersToCsv,
+  parseImport,
+  previewImport,
+  applyImport
+};
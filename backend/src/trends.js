@@ -0,0 +1,169 @@
+const { User } = require('./models/user');
+const { LedgerEntry } = require('./models/ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket sizes the series endpoints support, as MongoDB $dateTrunc units
+const BUCKETS = ['hour', 'day', 'week'];
+
+// Ledger sources that are votes cast by members (not admin or season changes)
+const VOTE_SOURCES = ['sticker', 'reaction'];
+
+// Ledger sources that move scores in bulk rather than anyone earning points:
+// season resets and imports
+const BULK_SOURCES = ['season', 'import'];
+
+// Start of the UTC bucket a date falls in, matching $dateTrunc with weeks
+// starting on Monday
+const truncate = (date, bucket) => {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+  if (bucket === 'hour') return start;
+
+  start.setUTCHours(0);
+  if (bucket === 'day') return start;
+
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+const nextBucket = (date, bucket) => {
+  const next = new Date(date);
+  if (bucket === 'hour') next.setUTCHours(next.getUTCHours() + 1);
+  else if (bucket === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  else next.setUTCDate(next.getUTCDate() + 7);
+  return next;
+};
+
+// Every bucket start from `since` up to now, so gaps show up as zeros
+const bucketStarts = (since, bucket) => {
+  const starts = [];
+  const now = new Date();
+  for (let start = truncate(since, bucket); start <= now; start = nextBucket(start, bucket)) {
+    starts.push(start);
+  }
+  return starts;
+};
+
+// Sum ledger deltas matching `match` per bucket. Reversals of removed votes
+// count towards the net but not as votes cast.
+const aggregateBuckets = (match, bucket) => {
+  const cast = condition => ({ $sum: { $cond: [{ $and: [{ $not: ['$reversal'] }, condition] }, 1, 0] } });
+  return LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: bucket, startOfWeek: 'monday' } },
+        net: { $sum: '$delta' },
+        votes: cast(true),
+        upvotes: cast({ $gt: ['$delta', 0] }),
+        downvotes: cast({ $lt: ['$delta', 0] })
+      }
+    }
+  ]);
+};
+
+// Net votes per bucket across a whole chat
+const getChatSeries = async (chatId, { bucket = 'day', since = new Date(Date.now() - 30 * DAY_MS) } = {}) => {
+  const rows = await aggregateBuckets({
+    chatId: chatId.toString(),
+    source: { $in: VOTE_SOURCES },
+    createdAt: { $gte: since }
+  }, bucket);
+  const byStart = new Map(rows.map(row => [row._id.getTime(), row]));
+
+  return bucketStarts(since, bucket).map((start) => {
+    const row = byStart.get(start.getTime()) || {};
+    return {
+      start,
+      net: row.net || 0,
+      votes: row.votes || 0,
+      upvotes: row.upvotes || 0,
+      downvotes: row.downvotes || 0
+    };
+  });
+};
+
+// A user's score at the end of each bucket. Works backwards from their
+// current score so changes made before the ledger existed are accounted for.
+const getUserSeries = async (chatId, telegramId, { bucket = 'day', since = new Date(Date.now() - 30 * DAY_MS) } = {}) => {
+  const user = await User.findOne({ chatId: chatId.toString(), telegramId: telegramId.toString() }).lean();
+  if (!user) {
+    return null;
+  }
+
+  const rows = await aggregateBuckets({
+    chatId: chatId.toString(),
+    targetId: telegramId.toString(),
+    createdAt: { $gte: since }
+  }, bucket);
+  const byStart = new Map(rows.map(row => [row._id.getTime(), row]));
+
+  let score = user.creditScore - rows.reduce((sum, row) => sum + row.net, 0);
+  return bucketStarts(since, bucket).map((start) => {
+    const row = byStart.get(start.getTime()) || {};
+    score += row.net || 0;
+    return {
+      start,
+      score,
+      change: row.net || 0
+    };
+  });
+};
+
+// Net score change per user since a date from ledger entries whose source
+// matches `sources`, biggest gain first, leaving out users excluded from the
+// leaderboard
+const sumChanges = async (chatId, since, sources) => {
+  const excluded = await User.distinct('telegramId', { chatId: chatId.toString(), excluded: true });
+  const totals = await LedgerEntry.aggregate([
+    {
+      $match: {
+        chatId: chatId.toString(),
+        targetId: { $nin: excluded },
+        source: sources,
+        createdAt: { $gte: since }
+      }
+    },
+    { $sort: { createdAt: 1 } },
+    { $group: { _id: '$targetId', change: { $sum: '$delta' }, username: { $last: '$targetName' } } },
+    { $match: { change: { $ne: 0 } } },
+    { $sort: { change: -1, _id: 1 } }
+  ]);
+
+  // Prefer the names users have now over the ones recorded with their votes
+  const users = await User.find(
+    { chatId: chatId.toString(), telegramId: { $in: totals.map(row => row._id) } },
+    { telegramId: 1, username: 1 }
+  ).lean();
+  const names = new Map(users.map(user => [user.telegramId, user.username]));
+
+  return totals.map(row => ({ telegramId: row._id, username: names.get(row._id) || row.username, change: row.change }));
+};
+
+// Users whose votes moved their score the most since `since`, both ways.
+// Resets, imports and other admin changes aren't anyone moving.
+const getMovers = async (chatId, { since = new Date(Date.now() - 7 * DAY_MS), limit = 5 } = {}) => {
+  const changes = await sumChanges(chatId, since, { $in: VOTE_SOURCES });
+  return {
+    gainers: changes.filter(row => row.change > 0).slice(0, limit),
+    losers: changes.filter(row => row.change < 0).reverse().slice(0, limit)
+  };
+};
+
+// Everyone's net score change since a date, biggest gain first, leaving out
+// users excluded from the leaderboard and bulk changes
+const getNetChanges = (chatId, { since = new Date(Date.now() - 7 * DAY_MS) } = {}) => {
+  return sumChanges(chatId, since, { $nin: BULK_SOURCES });
+};
+
+module.exports = {
+  DAY_MS,
+  BUCKETS,
+  VOTE_SOURCES,
+  BULK_SOURCES,
+  getChatSeries,
+  getUserSeries,
+  getMovers,
+  getNetChanges
+};
@@ -0,0 +1,69 @@
+const express = require('express');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const WEBHOOK_PATH = '/telegram/webhook';
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// Compare secrets without leaking how much of them matched
+const secretMatches = (expected, actual) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual || '');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Route that feeds updates POSTed by Telegram into the bot's handlers. When a
+// secret is set, requests without Telegram's secret header are refused.
+const createWebhookRouter = (bot, { secret } = {}) => {
+  const router = express.Router();
+
+  router.post(WEBHOOK_PATH, (req, res) => {
+    if (secret && !secretMatches(secret, req.get(SECRET_HEADER))) {
+      logger.warn('Webhook request with a missing or wrong secret token rejected');
+      return res.sendStatus(401);
+    }
+
+    const update = req.body;
+    if (!update || typeof update.update_id !== 'number') {
+      return res.status(400).json({ error: 'Body must be a Telegram update' });
+    }
+
+    // Handlers run asynchronously; Telegram only needs to know we got it
+    bot.processUpdate(update);
+    res.sendStatus(200);
+  });
+
+  return router;
+};
+
+// The URL Telegram posts to for a server at `url`
+const webhookUrl = url => `${url.replace(/\/+$/, '')}${WEBHOOK_PATH}`;
+
+// Point Telegram at this server's webhook route
+const registerWebhook = (bot, { url, secret, allowedUpdates }) => {
+  const options = {
+    allowed_updates: JSON.stringify(allowedUpdates)
+  };
+  if (secret) {
+    options.secret_token = secret;
+  }
+  return bot.setWebHook(webhookUrl(url), options);
+};
+
+// Stop Telegram sending updates to this server, unless the webhook now points
+// somewhere else. Resolves with whether it was removed.
+const unregisterWebhook = async (bot, { url }) => {
+  const info = await bot.getWebHookInfo();
+  if (info.url !== webhookUrl(url)) {
+    return false;
+  }
+  await bot.deleteWebHook();
+  return true;
+};
+
+module.exports = {
+  WEBHOOK_PATH,
+  createWebhookRouter,
+  registerWebhook,
+  unregisterWebhook
+};
@@ -0,0 +1,154 @@
+const { Chat } = require('./models/chat');
+const { getStorage } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Weighting for chats that haven't changed it. A factor's parameter of 0
+// turns that factor off.
+const DEFAULT_WEIGHTING = {
+  enabled: false,
+  scoreScale: 500,
+  tenureDays: 30,
+  activityThreshold: 10,
+  activityWindowHours: 24,
+  minWeight: 0.25,
+  maxWeight: 2,
+  positiveOnlyBelow: -100
+};
+
+const parseCount = (value) => (/^\d+$/.test(value) ? Number(value) : undefined);
+const parseNumber = (value) => (/^-?\d+(\.\d+)?$/.test(value) ? Number(value) : undefined);
+
+// How each parameter is named in /setweight, and how its value is parsed
+const WEIGHTING_SETTINGS = {
+  score: { field: 'scoreScale', parse: parseCount },
+  tenure: { field: 'tenureDays', parse: parseCount },
+  activity: { field: 'activityThreshold', parse: parseCount },
+  window: { field: 'activityWindowHours', parse: value => (parseCount(value) || undefined) },
+  min: { field: 'minWeight', parse: value => (parseNumber(value) >= 0 ? parseNumber(value) : undefined) },
+  max: { field: 'maxWeight', parse: value => (parseNumber(value) > 0 ? parseNumber(value) : undefined) },
+  floor: { field: 'positiveOnlyBelow', parse: parseNumber }
+};
+
+// The chat's weighting settings, with defaults filled in
+const getChatWeighting = async (chatId) => {
+  const chat = await getStorage().getChat(chatId);
+  return { ...DEFAULT_WEIGHTING, ...((chat && chat.weighting) || {}) };
+};
+
+const saveWeighting = async (chatId, field, value) => {
+  await Chat.updateOne(
+    { chatId: chatId.toString() },
+    { $set: { [`weighting.${field}`]: value } },
+    { upsert: true }
+  );
+  return getChatWeighting(chatId);
+};
+
+// Turn weighted voting on or off for a chat
+const setWeightingEnabled = (chatId, enabled) => saveWeighting(chatId, 'enabled', enabled);
+
+// Change one parameter by its /setweight name. Resolves with { weighting },
+// the updated settings, or { reason } (a message key and its parameters) if
+// the value doesn't fit with the others, or null if the name or value is
+// invalid.
+const setWeightingParam = async (chatId, name, value) => {
+  const setting = WEIGHTING_SETTINGS[name];
+  const parsed = setting && setting.parse(value);
+  if (parsed === undefined) {
+    return null;
+  }
+
+  // Weights are clamped between min and max, so min can't pass max
+  const current = await getChatWeighting(chatId);
+  const range = { min: current.minWeight, max: current.maxWeight, [name]: parsed };
+  if ((name === 'min' || name === 'max') && range.min > range.max) {
+    return { reason: { key: 'weighting.minAboveMax', params: range } };
+  }
+  return { weighting: await saveWeighting(chatId, setting.field, parsed) };
+};
+
+// What the formula needs to know about a voter: their score, when they were
+// first seen in the chat and how many votes they've cast recently
+const getVoterProfile = async (chatId, voterId, weighting) => {
+  const storage = getStorage();
+  const user = await storage.findUser(chatId, voterId);
+
+  // Voters who have never been voted on have no user document yet, so fall
+  // back to their first vote
+  let joinedAt = user && user.createdAt;
+  if (!joinedAt) {
+    const [first] = await storage.findVotes(chatId, { voterId }, { limit: 1 });
+    joinedAt = first ? first.createdAt : new Date();
+  }
+
+  const recentVotes = await storage.countVotes(chatId, {
+    voterId,
+    reversal: false,
+    since: new Date(Date.now() - weighting.activityWindowHours * HOUR_MS)
+  });
+
+  return { score: user ? user.creditScore : 0, joinedAt, recentVotes };
+};
+
+// weight = score factor × tenure factor × activity factor, clamped to
+// [minWeight, maxWeight]:
+//   score factor    = 1 + score / scoreScale (never below 0)
+//   tenure factor   = days in the chat / tenureDays (at most 1)
+//   activity factor = activityThreshold / recent votes, once past the threshold
+const computeWeight = (weighting, { score, joinedAt, recentVotes }) => {
+  const scoreFactor = weighting.scoreScale ? Math.max(1 + score / weighting.scoreScale, 0) : 1;
+  const tenureFactor = weighting.tenureDays
+    ? Math.min((Date.now() - new Date(joinedAt).getTime()) / DAY_MS / weighting.tenureDays, 1)
+    : 1;
+  const activityFactor = weighting.activityThreshold && recentVotes > weighting.activityThreshold
+    ? weighting.activityThreshold / recentVotes
+    : 1;
+
+  const weight = Math.min(Math.max(scoreFactor * tenureFactor * activityFactor, weighting.minWeight), weighting.maxWeight);
+  return Math.round(weight * 100) / 100;
+};
+
+// Voters below the chat's floor may only give positive votes. Resolves with
+// the message key for why a vote is blocked, or null.
+const getPositiveOnlyBlock = async (chatId, voterId, delta) => {
+  if (delta >= 0) {
+    return null;
+  }
+  const weighting = await getChatWeighting(chatId);
+  if (!weighting.enabled) {
+    return null;
+  }
+  const user = await getStorage().findUser(chatId, voterId);
+  const score = user ? user.creditScore : 0;
+  return score < weighting.positiveOnlyBelow
+    ? { key: 'votes.positiveOnly', params: { floor: weighting.positiveOnlyBelow } }
+    : null;
+};
+
+// Work out how much a vote actually counts in its chat. Resolves with the
+// weighted delta, plus the raw delta and the weight applied when the chat
+// uses weighting.
+const weighVote = async ({ chatId, voterId, delta }) => {
+  const weighting = await getChatWeighting(chatId);
+  if (!weighting.enabled) {
+    return { delta };
+  }
+
+  const weight = computeWeight(weighting, await getVoterProfile(chatId, voterId, weighting));
+  // A vote always moves the score by at least one point in its direction
+  const weighted = Math.round(delta * weight) || Math.sign(delta);
+  return { delta: weighted, rawDelta: delta, weight };
+};
+
+module.exports = {
+  DEFAULT_WEIGHTING,
+  WEIGHTING_SETTINGS,
+  getChatWeighting,
+  setWeightingEnabled,
+  setWeightingParam,
+  computeWeight,
+  getPositiveOnlyBlock,
+  weighVote
+};
@@ -1,74 +1,112 @@
-import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useCallback } from 'react';
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import api, { getToken, clearToken } from './api';
+import Login from './components/Login';
+import AdminView from './components/AdminView';
+import ChatLayout from './components/ChatLayout';
+import Leaderboard from './components/Leaderboard';
+import Trends from './components/Trends';
+import UserProfile from './components/UserProfile';
 
-function App() {
-  const [users, setUsers] = useState([]);
+// Send visitors to the first chat the bot knows about
+function ChatIndex() {
+  const [chatId, setChatId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    const fetchUsers = async () => {
+    const fetchChats = async () => {
       try {
-        const response = await axios.get('http://localhost:3000/api/users');
-        setUsers(response.data);
+        const response = await api.get('/chats');
+        if (response.data.length > 0) {
+          setChatId(response.data[0].chatId);
+        }
         setLoading(false);
       } catch (err) {
-        setError('Error fetching users');
+        setError('Error fetching chats');
         setLoading(false);
       }
     };
 
-    fetchUsers();
+    fetchChats();
   }, []);
 
   if (loading) return <div className="flex justify-center items-center h-screen">Loading...</div>;
   if (error) return <div className="flex justify-center items-center h-screen text-red-500">{error}</div>;
+  if (!chatId) return <div className="flex justify-center items-center h-screen text-gray-500">None of your groups have credit scores yet.</div>;
+
+  return <Navigate to={`/chats/${chatId}`} replace />;
+}
+
+function App() {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(Boolean(getToken()));
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    if (!getToken()) return;
+
+    const fetchMe = async () => {
+      try {
+        const response = await api.get('/auth/me');
+        setUser(response.data);
+      } catch (err) {
+        clearToken();
+      }
+      setChecking(false);
+    };
+
+    fetchMe();
+  }, []);
+
+  useEffect(() => {
+    const onSignedOut = () => setUser(null);
+    window.addEventListener('fuel:signed-out', onSignedOut);
+    return () => window.removeEventListener('fuel:signed-out', onSignedOut);
+  }, []);
+
+  const onLogin = useCallback((loggedIn) => setUser(loggedIn), []);
+
+  const signOut = () => {
+    clearToken();
+    setUser(null);
+  };
 
   return (
-    <div className="min-h-screen bg-gray-100">
-      <header className="bg-white shadow">
-        <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
-          <h1 className="text-3xl font-bold text-gray-900">The Fuel Social Credit System</h1>
-        </div>
-      </header>
-      <main>
-        <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-          <div className="px-4 py-6 sm:px-0">
-            <div className="bg-white shadow overflow-hidden sm:rounded-lg">
-              <div className="px-4 py-5 sm:px-6">
-                <h2 className="text-lg leading-6 font-medium text-gray-900">Leaderboard</h2>
-              </div>
-              <div className="border-t border-gray-200">
-                <ul className="divide-y divide-gray-200">
-                  {users.map((user, index) => (
-                    <li key={user.telegramId} className="px-4 py-4 sm:px-6">
-                      <div className="flex items-center justify-between">
-                        <div className="flex items-center">
-                          <div className="flex-shrink-0">
-                            <span className="text-lg font-medium text-gray-900">{index + 1}.</span>
-                          </div>
-                          <div className="ml-4">
-                            <div className="text-sm font-medium text-gray-900">
-                              {user.firstName || user.username}
-                            </div>
-                          </div>
-                        </div>
-                        <div className="ml-2 flex-shrink-0 flex">
-                          <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
-                            Score: {user.creditScore}
-                          </span>
-                        </div>
-                      </div>
-                    </li>
-                  ))}
-                </ul>
+    <BrowserRouter>
+      <div className="min-h-screen bg-gray-100">
+        <header className="bg-white shadow">
+          <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 flex items-center justify-between">
+            <h1 className="text-3xl font-bold text-gray-900">The Fuel Social Credit System</h1>
+            {user && (
+              <div className="flex items-center space-x-4">
+                <span className="text-sm text-gray-700">{user.name}</span>
+                <button onClick={signOut} className="text-sm font-medium text-gray-500 hover:text-gray-700">
+                  Sign out
+                </button>
               </div>
-            </div>
+            )}
           </div>
-        </div>
-      </main>
-    </div>
+        </header>
+        <main>
+          {checking && <div className="flex justify-center py-12">Loading...</div>}
+          {!checking && !user && <Login onLogin={onLogin} />}
+          {!checking && user && (
+            <Routes>
+              <Route path="/" element={<ChatIndex />} />
+              <Route path="/chats/:chatId" element={<ChatLayout />}>
+                <Route index element={<Leaderboard />} />
+                <Route path="trends" element={<Trends />} />
+                <Route path="admin" element={<AdminView />} />
+                <Route path="users/:telegramId" element={<UserProfile />} />
+              </Route>
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          )}
+        </main>
+      </div>
+    </BrowserRouter>
   );
 }
 
-export default App; 
\ No newline at end of file
+export default App;
@@ -0,0 +1,36 @@
+import axios from 'axios';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
+
+const TOKEN_KEY = 'fuelSessionToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+const api = axios.create({
+  baseURL: `${API_URL}/api`
+});
+
+// Send the session token with every request
+api.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// An expired or invalid session signs the user out
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response && error.response.status === 401 && getToken()) {
+      clearToken();
+      window.dispatchEvent(new Event('fuel:signed-out'));
+    }
+    return Promise.reject(error);
+  }
+);
+
+export default api;
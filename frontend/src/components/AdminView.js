@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import api from '../api';
+
+const formatCredits = (credits) => (credits > 0 ? `+${credits}` : `${credits}`);
+
+// Save a chat export. It goes through the API client so the session token is
+// sent, then hands the file to the browser.
+const downloadExport = async (chatId, format) => {
+  const response = await api.get(`/chats/${chatId}/admin/export`, { params: { format }, responseType: 'blob' });
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `fuel-credit-score-${chatId}.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Chat admins only: how voting is set up, and every recent score change
+function AdminView() {
+  const { chatId } = useParams();
+  const [settings, setSettings] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  useEffect(() => {
+    const fetchAdmin = async () => {
+      try {
+        const [settingsResponse, ledgerResponse] = await Promise.all([
+          api.get(`/chats/${chatId}/admin/settings`),
+          api.get(`/chats/${chatId}/admin/ledger`, { params: { limit: 50 } })
+        ]);
+        setSettings(settingsResponse.data);
+        setEntries(ledgerResponse.data.entries);
+        setLoading(false);
+      } catch (err) {
+        setError(err.response && err.response.status === 403 ? 'Only chat admins can see this page' : 'Error fetching admin data');
+        setLoading(false);
+      }
+    };
+
+    fetchAdmin();
+  }, [chatId]);
+
+  if (loading) return <div className="flex justify-center py-12">Loading...</div>;
+  if (error) return <div className="flex justify-center py-12 text-red-500">{error}</div>;
+
+  const { limits, season } = settings;
+
+  const handleExport = async (format) => {
+    try {
+      setExportError(null);
+      await downloadExport(chatId, format);
+    } catch (err) {
+      setExportError('Error downloading the export');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 gap-6 md:grid-cols-3">
+        <div className="bg-white shadow sm:rounded-lg px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mb-3">Vote stickers</h3>
+          {settings.usesDefaultStickers ? (
+            <p className="text-sm text-gray-500">Built-in 👍 (+20) and 👎 (-20)</p>
+          ) : (
+            <ul className="text-sm text-gray-700 space-y-1">
+              {settings.stickers.length === 0 && <li className="text-gray-500">None</li>}
+              {settings.stickers.map((sticker) => (
+                <li key={sticker.fileUniqueId}>
+                  {sticker.emoji || '❔'} {sticker.setName && <span className="text-gray-500">{sticker.setName}</span>}: {formatCredits(sticker.credits)}
+                </li>
+              ))}
+            </ul>
+          )}
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mt-5 mb-3">Vote reactions</h3>
+          <ul className="text-sm text-gray-700 space-y-1">
+            {settings.reactions.length === 0 && <li className="text-gray-500">None</li>}
+            {settings.reactions.map((reaction) => (
+              <li key={reaction.emoji}>{reaction.emoji}: {formatCredits(reaction.credits)}</li>
+            ))}
+          </ul>
+        </div>
+        <div className="bg-white shadow sm:rounded-lg px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mb-3">Voting limits</h3>
+          <dl className="text-sm text-gray-700 space-y-1">
+            <div>Daily budget: {limits.dailyBudget || 'off'}</div>
+            <div>Cooldown: {limits.pairCooldownMinutes ? `${limits.pairCooldownMinutes} min` : 'off'}</div>
+            <div>One vote per message: {limits.onePerMessage ? 'on' : 'off'}</div>
+            <div>Daily cap per person: {limits.dailyTargetCap || 'off'}</div>
+            <div>Rejected votes: {limits.rejectionNotice}</div>
+          </dl>
+        </div>
+        <div className="bg-white shadow sm:rounded-lg px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mb-3">Season</h3>
+          <dl className="text-sm text-gray-700 space-y-1">
+            <div>Season {season.number} ({season.length})</div>
+            <div>Started {new Date(season.startedAt).toLocaleDateString()}</div>
+            {season.endsAt && <div>Ends {new Date(season.endsAt).toLocaleString()}</div>}
+            <div>Carry-over: {season.carryOver}%</div>
+          </dl>
+          <h3 className="text-lg leading-6 font-medium text-gray-900 mt-5 mb-3">Badges</h3>
+          <ul className="text-sm text-gray-700 space-y-1">
+            {settings.badges.map((badge) => (
+              <li key={badge.badge} className={badge.enabled ? '' : 'text-gray-400'}>
+                {badge.emoji} {badge.name}: {badge.enabled ? 'on' : 'off'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+      <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+        <div className="px-4 py-5 sm:px-6 flex items-center justify-between">
+          <h2 className="text-lg leading-6 font-medium text-gray-900">Recent score changes</h2>
+          <div className="flex items-center space-x-2 text-sm">
+            {exportError && <span className="text-red-500">{exportError}</span>}
+            {['csv', 'json'].map((format) => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => handleExport(format)}
+                className="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                Export {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="border-t border-gray-200 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50 text-left text-gray-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">When</th>
+                <th className="px-4 py-2 font-medium">Who</th>
+                <th className="px-4 py-2 font-medium">Change</th>
+                <th className="px-4 py-2 font-medium">By</th>
+                <th className="px-4 py-2 font-medium">Source</th>
+                <th className="px-4 py-2 font-medium">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 text-gray-700">
+              {entries.map((entry, index) => (
+                <tr key={`${entry.createdAt}-${index}`}>
+                  <td className="px-4 py-2 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                  <td className="px-4 py-2">{entry.targetName}</td>
+                  <td className={`px-4 py-2 font-semibold ${entry.delta > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {formatCredits(entry.delta)} ({entry.scoreBefore} → {entry.scoreAfter})
+                  </td>
+                  <td className="px-4 py-2">{entry.voterName || '—'}</td>
+                  <td className="px-4 py-2">{entry.source}</td>
+                  <td className="px-4 py-2">{entry.reason || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdminView;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import { NavLink, Outlet, useNavigate, useParams } from 'react-router-dom';
+import api from '../api';
+
+const tabClass = ({ isActive }) =>
+  `px-3 py-2 text-sm font-medium rounded-md ${isActive ? 'bg-gray-200 text-gray-900' : 'text-gray-500 hover:text-gray-700'}`;
+
+// Chat picker and tabs shared by every per-chat view
+function ChatLayout() {
+  const { chatId } = useParams();
+  const navigate = useNavigate();
+  const [chats, setChats] = useState([]);
+  const chat = chats.find((candidate) => candidate.chatId === chatId);
+
+  useEffect(() => {
+    const fetchChats = async () => {
+      try {
+        const response = await api.get('/chats');
+        setChats(response.data);
+      } catch (err) {
+        setChats([]);
+      }
+    };
+
+    fetchChats();
+  }, []);
+
+  return (
+    <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+      <div className="px-4 sm:px-0 flex items-center justify-between">
+        <nav className="flex space-x-2">
+          <NavLink to={`/chats/${chatId}`} end className={tabClass}>Leaderboard</NavLink>
+          <NavLink to={`/chats/${chatId}/trends`} className={tabClass}>Trends</NavLink>
+          {chat && chat.isAdmin && (
+            <NavLink to={`/chats/${chatId}/admin`} className={tabClass}>Admin</NavLink>
+          )}
+        </nav>
+        {chats.length > 0 && (
+          <select
+            value={chatId}
+            onChange={(event) => navigate(`/chats/${event.target.value}`)}
+            className="border border-gray-300 rounded-md text-sm px-2 py-1"
+          >
+            {chats.map((chat) => (
+              <option key={chat.chatId} value={chat.chatId}>
+                {chat.title || chat.chatId}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      {/* Remount the view when the chat changes so paging and state start fresh */}
+      <div key={chatId} className="px-4 py-6 sm:px-0">
+        <Outlet />
+      </div>
+    </div>
+  );
+}
+
+export default ChatLayout;
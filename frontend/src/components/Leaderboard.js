@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api, { API_URL, getToken } from '../api';
+
+const PAGE_SIZE = 20;
+// Wait for a burst of votes to settle before refetching the page
+const REFRESH_DELAY_MS = 500;
+// How long rank changes stay highlighted
+const HIGHLIGHT_MS = 5000;
+// How many event ids to remember, to drop the repeats sent after a reconnect
+const SEEN_EVENTS = 1000;
+
+// Sort a page of users by score again and rank them from the page's first
+// rank. Users on the same score share a rank and keep their order.
+const rerank = (rows) => {
+  const sorted = [...rows].sort((a, b) => b.creditScore - a.creditScore);
+  const first = Math.min(...rows.map((user) => user.rank));
+  let rank = first;
+  return sorted.map((user, index) => {
+    if (index > 0 && user.creditScore !== sorted[index - 1].creditScore) {
+      rank = first + index;
+    }
+    return { ...user, rank };
+  });
+};
+
+// ▲/▼ next to users whose rank just changed
+function RankChange({ change }) {
+  if (!change) return null;
+  return change > 0
+    ? <span className="ml-2 text-xs font-semibold text-green-700">▲ {change}</span>
+    : <span className="ml-2 text-xs font-semibold text-red-700">▼ {-change}</span>;
+}
+
+function Leaderboard() {
+  const { chatId } = useParams();
+  const [users, setUsers] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [changes, setChanges] = useState({});
+  const [version, setVersion] = useState(0);
+  const usersRef = useRef([]);
+  const pagesRef = useRef(1);
+
+  useEffect(() => {
+    usersRef.current = users;
+  }, [users]);
+
+  useEffect(() => {
+    pagesRef.current = totalPages;
+  }, [totalPages]);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        if (version === 0) setLoading(true);
+        setError(null);
+        const response = await api.get(`/chats/${chatId}/leaderboard`, {
+          params: { page, limit: PAGE_SIZE }
+        });
+
+        // Compare against what was on screen to show who moved
+        if (version > 0) {
+          const previous = new Map(usersRef.current.map((user) => [user.telegramId, user]));
+          const moved = {};
+          response.data.users.forEach((user) => {
+            const before = previous.get(user.telegramId);
+            if (!before || before.rank !== user.rank || before.creditScore !== user.creditScore) {
+              moved[user.telegramId] = before ? before.rank - user.rank : null;
+            }
+          });
+          setChanges(moved);
+        }
+
+        setUsers(response.data.users);
+        setTotalPages(Math.max(response.data.totalPages, 1));
+        setLoading(false);
+      } catch (err) {
+        setError('Error fetching users');
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [chatId, page, version]);
+
+  // Live updates: apply score changes to the users on the page as they
+  // arrive, and refetch the page for anyone else, who may have moved onto it
+  useEffect(() => {
+    const url = `${API_URL}/api/chats/${chatId}/events?access_token=${encodeURIComponent(getToken() || '')}`;
+    const source = new EventSource(url);
+    const seen = new Set();
+    let refresh = null;
+
+    source.addEventListener('score', (message) => {
+      const event = JSON.parse(message.data);
+      if (seen.has(event.id)) return;
+      seen.add(event.id);
+      if (seen.size > SEEN_EVENTS) seen.delete(seen.values().next().value);
+
+      const scheduleRefresh = () => {
+        clearTimeout(refresh);
+        refresh = setTimeout(() => setVersion((current) => current + 1), REFRESH_DELAY_MS);
+      };
+
+      const current = usersRef.current;
+      if (!current.some((user) => user.telegramId === event.telegramId)) {
+        scheduleRefresh();
+        return;
+      }
+
+      const updated = rerank(current.map((user) => (user.telegramId === event.telegramId
+        ? { ...user, creditScore: user.creditScore + event.delta }
+        : user)));
+      const previous = new Map(current.map((user) => [user.telegramId, user.rank]));
+      const moved = {};
+      updated.forEach((user) => {
+        if (user.telegramId === event.telegramId || previous.get(user.telegramId) !== user.rank) {
+          moved[user.telegramId] = previous.get(user.telegramId) - user.rank;
+        }
+      });
+      usersRef.current = updated;
+      setUsers(updated);
+      setChanges((changed) => ({ ...changed, ...moved }));
+
+      // Someone at the edge of the page may have swapped places with a user
+      // on the next or previous page
+      const index = updated.findIndex((user) => user.telegramId === event.telegramId);
+      if (pagesRef.current > 1 && (index === 0 || index === updated.length - 1)) {
+        scheduleRefresh();
+      }
+    });
+
+    return () => {
+      clearTimeout(refresh);
+      source.close();
+    };
+  }, [chatId]);
+
+  useEffect(() => {
+    if (Object.keys(changes).length === 0) return undefined;
+    const timer = setTimeout(() => setChanges({}), HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [changes]);
+
+  const goToPage = (next) => {
+    setVersion(0);
+    setPage(next);
+  };
+
+  if (loading) return <div className="flex justify-center py-12">Loading...</div>;
+  if (error) return <div className="flex justify-center py-12 text-red-500">{error}</div>;
+
+  return (
+    <div className="bg-white shadow overflow-hidden sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6">
+        <h2 className="text-lg leading-6 font-medium text-gray-900">Leaderboard</h2>
+      </div>
+      <div className="border-t border-gray-200">
+        {users.length === 0 && (
+          <p className="px-4 py-4 sm:px-6 text-sm text-gray-500">No credit scores recorded yet.</p>
+        )}
+        <ul className="divide-y divide-gray-200">
+          {users.map((user) => (
+            <li
+              key={user.telegramId}
+              className={`px-4 py-4 sm:px-6 transition-colors duration-700 ${user.telegramId in changes ? 'bg-yellow-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <div className="flex-shrink-0">
+                    <span className="text-lg font-medium text-gray-900">{user.rank}.</span>
+                  </div>
+                  <div className="ml-4">
+                    <Link
+                      to={`/chats/${chatId}/users/${user.telegramId}`}
+                      className="text-sm font-medium text-gray-900 hover:underline"
+                    >
+                      {user.username}
+                    </Link>
+                    <RankChange change={changes[user.telegramId]} />
+                  </div>
+                </div>
+                <div className="ml-2 flex-shrink-0 flex">
+                  <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
+                    Score: {user.creditScore}
+                  </span>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+      {totalPages > 1 && (
+        <div className="border-t border-gray-200 px-4 py-3 sm:px-6 flex items-center justify-between">
+          <button
+            onClick={() => goToPage(page - 1)}
+            disabled={page <= 1}
+            className="text-sm font-medium text-gray-700 disabled:text-gray-300"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">Page {page} of {totalPages}</span>
+          <button
+            onClick={() => goToPage(page + 1)}
+            disabled={page >= totalPages}
+            className="text-sm font-medium text-gray-700 disabled:text-gray-300"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Leaderboard;
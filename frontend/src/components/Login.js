@@ -0,0 +1,62 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api, { setToken } from '../api';
+
+const WIDGET_URL = 'https://telegram.org/js/telegram-widget.js?22';
+
+// Sign in with the Telegram Login Widget
+function Login({ onLogin }) {
+  const container = useRef(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let script;
+
+    window.onTelegramAuth = async (user) => {
+      try {
+        const response = await api.post('/auth/telegram', user);
+        setToken(response.data.token);
+        onLogin(response.data.user);
+      } catch (err) {
+        setError('Telegram login could not be verified');
+      }
+    };
+
+    const loadWidget = async () => {
+      try {
+        const response = await api.get('/auth/config');
+        script = document.createElement('script');
+        script.src = WIDGET_URL;
+        script.async = true;
+        script.setAttribute('data-telegram-login', response.data.botUsername);
+        script.setAttribute('data-size', 'large');
+        script.setAttribute('data-request-access', 'write');
+        script.setAttribute('data-onauth', 'onTelegramAuth(user)');
+        container.current.appendChild(script);
+      } catch (err) {
+        setError('Error loading Telegram login');
+      }
+    };
+
+    loadWidget();
+
+    return () => {
+      delete window.onTelegramAuth;
+      if (script && script.parentNode) {
+        script.parentNode.removeChild(script);
+      }
+    };
+  }, [onLogin]);
+
+  return (
+    <div className="max-w-md mx-auto py-12 px-4 text-center">
+      <h2 className="text-xl font-medium text-gray-900 mb-2">Sign in</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Sign in with Telegram to see the leaderboards of the groups you are in.
+      </p>
+      <div ref={container} className="flex justify-center" />
+      {error && <p className="mt-4 text-sm text-red-500">{error}</p>}
+    </div>
+  );
+}
+
+export default Login;
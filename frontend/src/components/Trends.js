@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ResponsiveContainer, BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid, Legend } from 'recharts';
+import api from '../api';
+
+const formatDay = (start) => new Date(start).toISOString().slice(5, 10);
+
+function MoverList({ title, movers, chatId, className }) {
+  return (
+    <div className="bg-white shadow sm:rounded-lg">
+      <div className="px-4 py-5 sm:px-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900">{title}</h3>
+      </div>
+      <ul className="border-t border-gray-200 divide-y divide-gray-200">
+        {movers.length === 0 && (
+          <li className="px-4 py-4 sm:px-6 text-sm text-gray-500">Nobody this week.</li>
+        )}
+        {movers.map((mover) => (
+          <li key={mover.telegramId} className="px-4 py-3 sm:px-6 flex items-center justify-between">
+            <Link
+              to={`/chats/${chatId}/users/${mover.telegramId}`}
+              className="text-sm font-medium text-gray-900 hover:underline"
+            >
+              {mover.username}
+            </Link>
+            <span className={`text-sm font-semibold ${className}`}>
+              {mover.change > 0 ? `+${mover.change}` : mover.change}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Net votes per day in a chat, and this week's biggest gainers and losers
+function Trends() {
+  const { chatId } = useParams();
+  const [series, setSeries] = useState([]);
+  const [movers, setMovers] = useState({ gainers: [], losers: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchTrends = async () => {
+      try {
+        const [seriesResponse, moversResponse] = await Promise.all([
+          api.get(`/chats/${chatId}/series`, { params: { bucket: 'day', days: 30 } }),
+          api.get(`/chats/${chatId}/movers`, { params: { days: 7, limit: 5 } })
+        ]);
+        setSeries(seriesResponse.data.series.map((point) => ({ ...point, day: formatDay(point.start) })));
+        setMovers(moversResponse.data);
+        setLoading(false);
+      } catch (err) {
+        setError('Error fetching trends');
+        setLoading(false);
+      }
+    };
+
+    fetchTrends();
+  }, [chatId]);
+
+  if (loading) return <div className="flex justify-center py-12">Loading...</div>;
+  if (error) return <div className="flex justify-center py-12 text-red-500">{error}</div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white shadow sm:rounded-lg">
+        <div className="px-4 py-5 sm:px-6">
+          <h2 className="text-lg leading-6 font-medium text-gray-900">Votes per day (last 30 days)</h2>
+        </div>
+        <div className="border-t border-gray-200 px-4 py-5 sm:px-6 h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="day" />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Legend />
+              <Bar dataKey="upvotes" name="Upvotes" fill="#16a34a" />
+              <Bar dataKey="downvotes" name="Downvotes" fill="#dc2626" />
+              <Bar dataKey="net" name="Net points" fill="#2563eb" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 gap-6 md:grid-cols-2">
+        <MoverList title="Biggest gainers this week" movers={movers.gainers} chatId={chatId} className="text-green-700" />
+        <MoverList title="Biggest losers this week" movers={movers.losers} chatId={chatId} className="text-red-700" />
+      </div>
+    </div>
+  );
+}
+
+export default Trends;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import api from '../api';
+
+const formatDay = (start) => new Date(start).toISOString().slice(5, 10);
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+function Stat({ label, value, detail }) {
+  return (
+    <div>
+      <dt className="text-sm font-medium text-gray-500">{label}</dt>
+      <dd className="mt-1 text-xl font-semibold text-gray-900">{value}</dd>
+      {detail && <dd className="text-sm text-gray-500">{detail}</dd>}
+    </div>
+  );
+}
+
+// One user's standing, badges, voting stats and score over the last 30 days
+function UserProfile() {
+  const { chatId, telegramId } = useParams();
+  const [user, setUser] = useState(null);
+  const [series, setSeries] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [badges, setBadges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [userResponse, seriesResponse, statsResponse, badgesResponse] = await Promise.all([
+          api.get(`/chats/${chatId}/users/${telegramId}`),
+          api.get(`/chats/${chatId}/users/${telegramId}/series`, { params: { bucket: 'day', days: 30 } }),
+          api.get(`/chats/${chatId}/users/${telegramId}/stats`),
+          api.get(`/chats/${chatId}/users/${telegramId}/badges`)
+        ]);
+        setUser(userResponse.data);
+        setStats(statsResponse.data);
+        setBadges(badgesResponse.data.badges);
+        setSeries(seriesResponse.data.series.map((point) => ({ ...point, day: formatDay(point.start) })));
+        setLoading(false);
+      } catch (err) {
+        setError(err.response && err.response.status === 404 ? 'User not found' : 'Error fetching user');
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, [chatId, telegramId]);
+
+  if (loading) return <div className="flex justify-center py-12">Loading...</div>;
+  if (error) return <div className="flex justify-center py-12 text-red-500">{error}</div>;
+
+  return (
+    <div className="space-y-6">
+      <Link to={`/chats/${chatId}`} className="text-sm text-gray-500 hover:underline">← Back to leaderboard</Link>
+      <div className="bg-white shadow sm:rounded-lg px-4 py-5 sm:px-6 flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">{user.username}</h2>
+          <p className="text-sm text-gray-500">
+            Joined {new Date(user.createdAt).toLocaleDateString()}
+          </p>
+        </div>
+        <div className="text-right">
+          <div className="text-3xl font-bold text-gray-900">{user.creditScore}</div>
+          <div className="text-sm text-gray-500">
+            {user.rank ? `Rank ${user.rank} of ${user.totalUsers}` : 'Not on the leaderboard'}
+          </div>
+        </div>
+      </div>
+      <div className="bg-white shadow sm:rounded-lg">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Badges</h3>
+        </div>
+        <div className="border-t border-gray-200 px-4 py-5 sm:px-6">
+          {badges.length === 0 ? (
+            <p className="text-sm text-gray-500">No badges yet</p>
+          ) : (
+            <ul className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+              {badges.map((badge) => (
+                <li key={badge.badge} className="flex items-center space-x-3" title={badge.description}>
+                  <span className="text-3xl">{badge.emoji}</span>
+                  <div>
+                    <div className="font-medium text-gray-900">{badge.name}</div>
+                    <div className="text-sm text-gray-500">
+                      {badge.description}, {new Date(badge.awardedAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+      <div className="bg-white shadow sm:rounded-lg">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Voting stats</h3>
+        </div>
+        <dl className="border-t border-gray-200 px-4 py-5 sm:px-6 grid grid-cols-1 gap-4 sm:grid-cols-3">
+          <Stat label="Votes received" value={stats.received.total}
+            detail={`${stats.received.positive} up, ${stats.received.negative} down`} />
+          <Stat label="Votes given" value={stats.given.total}
+            detail={`${stats.given.positive} up, ${stats.given.negative} down`} />
+          <Stat label="Percentile" value={stats.percentile === null ? '–' : stats.percentile}
+            detail={stats.rank ? `Rank ${stats.rank} of ${stats.totalUsers}` : 'Not on the leaderboard'} />
+          <Stat label="Best friend" value={stats.bestFriend ? stats.bestFriend.username : 'Nobody yet'}
+            detail={stats.bestFriend && `${signed(stats.bestFriend.points)} points given`} />
+          <Stat label="Nemesis" value={stats.nemesis ? stats.nemesis.username : 'Nobody yet'}
+            detail={stats.nemesis && `${signed(stats.nemesis.points)} points given`} />
+          <Stat label="Biggest day" value={stats.biggestSwing ? signed(stats.biggestSwing.change) : '–'}
+            detail={stats.biggestSwing && new Date(stats.biggestSwing.day).toLocaleDateString()} />
+        </dl>
+      </div>
+      <div className="bg-white shadow sm:rounded-lg">
+        <div className="px-4 py-5 sm:px-6">
+          <h3 className="text-lg leading-6 font-medium text-gray-900">Score over the last 30 days</h3>
+        </div>
+        <div className="border-t border-gray-200 px-4 py-5 sm:px-6 h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="day" />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Line type="monotone" dataKey="score" name="Score" stroke="#2563eb" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UserProfile;